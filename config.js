@@ -0,0 +1,165 @@
+// Centralized configuration
+// Reads every setting from the environment, validates it against the schema below and
+// fails fast (throws) when something is missing or invalid. Production is strict about secrets.
+
+require('dotenv').config();
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Secret that used to be hard-coded in server.js - never acceptable in production
+const DEV_JWT_SECRET = 'sm-furnishing-jwt-secret-2024';
+const MIN_SECRET_LENGTH = 32;
+
+// Per-environment defaults. Production has no fallback secret on purpose.
+const PROFILES = {
+  development: {
+    DB_NAME: 'smFurnishing',
+    JWT_SECRET: DEV_JWT_SECRET
+  },
+  test: {
+    DB_NAME: 'smFurnishing_test',
+    JWT_SECRET: 'sm-furnishing-test-secret-not-for-production'
+  },
+  production: {
+    DB_NAME: 'smFurnishing'
+  }
+};
+
+// Setting schema: environment variable, type, default and whether it's required
+const SCHEMA = {
+  port: { env: 'PORT', type: 'int', default: 5000 },
+  mongodbUri: { env: 'MONGODB_URI', type: 'string', required: true },
+  dbName: { env: 'DB_NAME', type: 'string', required: true },
+  jwtSecret: { env: 'JWT_SECRET', type: 'string', required: true },
+  accessTokenExpiresIn: { env: 'ACCESS_TOKEN_EXPIRES_IN', type: 'duration', default: '15m' },
+  refreshTokenTtlDays: { env: 'REFRESH_TOKEN_TTL_DAYS', type: 'int', default: 30 },
+  mailTransport: { env: 'MAIL_TRANSPORT', type: 'enum', values: ['sendgrid', 'replit'] },
+  mailFrom: { env: 'MAIL_FROM', type: 'email', default: 'Info@smfurnishings.com' },
+  sendgridApiKey: { env: 'SENDGRID_API_KEY', type: 'string' },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+  trustProxy: { env: 'TRUST_PROXY', type: 'int', default: 1 },
+  bootstrapAdminEmail: { env: 'BOOTSTRAP_ADMIN_EMAIL', type: 'email' },
+  requireVerifiedEmailForOrders: { env: 'REQUIRE_VERIFIED_EMAIL_FOR_ORDERS', type: 'bool', default: true },
+  rateLimitStore: { env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+  imageStorage: { env: 'IMAGE_STORAGE', type: 'enum', values: ['local'], default: 'local' },
+  uploadDir: { env: 'UPLOAD_DIR', type: 'string', default: 'uploads' },
+  uploadBaseUrl: { env: 'UPLOAD_BASE_URL', type: 'string', default: '/uploads' },
+  maxImageUploadMb: { env: 'MAX_IMAGE_UPLOAD_MB', type: 'int', default: 5 },
+  stockHoldMinutes: { env: 'STOCK_HOLD_MINUTES', type: 'int', default: 15 },
+  razorpayKeySecret: { env: 'RAZORPAY_KEY_SECRET', type: 'string' },
+  inventoryAlertEmails: { env: 'INVENTORY_ALERT_EMAILS', type: 'list', default: [] },
+  lowStockDigestHour: { env: 'LOW_STOCK_DIGEST_HOUR', type: 'int', default: 3 }
+};
+
+// Convert a raw environment string to the setting's type. Returns { value } or { error }
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${spec.env} must be a non-negative integer` };
+      }
+      return { value };
+    }
+    case 'bool': {
+      const normalized = raw.toLowerCase();
+      if (!['true', 'false', '1', '0'].includes(normalized)) {
+        return { error: `${spec.env} must be true or false` };
+      }
+      return { value: normalized === 'true' || normalized === '1' };
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        return { error: `${spec.env} must be one of: ${spec.values.join(', ')}` };
+      }
+      return { value: raw };
+    case 'list':
+      return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'duration':
+      // Same format jsonwebtoken accepts for expiresIn, e.g. 900s, 15m, 12h, 7d
+      if (!/^\d+[smhd]$/.test(raw)) {
+        return { error: `${spec.env} must be a duration like 15m, 12h or 7d` };
+      }
+      return { value: raw };
+    case 'email':
+      if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(raw)) {
+        return { error: `${spec.env} must be a valid email address` };
+      }
+      return { value: raw };
+    default:
+      return { value: raw };
+  }
+}
+
+// Build and validate the configuration from an environment object
+function loadConfig(env = process.env) {
+  const nodeEnv = env.NODE_ENV || 'development';
+  const errors = [];
+  const warnings = [];
+
+  if (!ENVIRONMENTS.includes(nodeEnv)) {
+    throw new Error(`Invalid configuration:\n  - NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')}`);
+  }
+
+  const profile = PROFILES[nodeEnv];
+  const config = { env: nodeEnv };
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const raw = env[spec.env] !== undefined && env[spec.env] !== '' ? env[spec.env] : undefined;
+
+    if (raw === undefined) {
+      const fallback = profile[spec.env] !== undefined ? profile[spec.env] : spec.default;
+      if (fallback === undefined && spec.required) {
+        errors.push(`${spec.env} is required`);
+      }
+      config[name] = fallback;
+      continue;
+    }
+
+    const parsed = parseValue(spec, raw);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      config[name] = parsed.value;
+    }
+  }
+
+  // Mail transport: explicit setting, otherwise SendGrid when a key is present (the old behaviour)
+  if (!config.mailTransport) {
+    config.mailTransport = config.sendgridApiKey ? 'sendgrid' : 'replit';
+  }
+
+  if (config.lowStockDigestHour > 23) {
+    errors.push('LOW_STOCK_DIGEST_HOUR must be an hour between 0 and 23');
+  }
+
+  // Secrets - weak values are fatal in production and a warning elsewhere
+  const secretProblems = [];
+  if (config.jwtSecret === DEV_JWT_SECRET) {
+    secretProblems.push('JWT_SECRET is the built-in development secret');
+  } else if (config.jwtSecret && config.jwtSecret.length < MIN_SECRET_LENGTH) {
+    secretProblems.push(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (config.mailTransport === 'sendgrid' && !config.sendgridApiKey) {
+    secretProblems.push('SENDGRID_API_KEY is required when MAIL_TRANSPORT is sendgrid');
+  }
+
+  if (nodeEnv === 'production') {
+    errors.push(...secretProblems);
+    if (config.corsOrigins.includes('*')) {
+      warnings.push('CORS_ORIGINS allows every origin');
+    }
+  } else if (nodeEnv === 'development') {
+    warnings.push(...secretProblems);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (${nodeEnv}):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  warnings.forEach(warning => console.warn(`⚠️ Config: ${warning}`));
+
+  return Object.freeze(config);
+}
+
+module.exports = loadConfig();
@@ -1,22 +1,108 @@
-require('dotenv').config();
+const config = require('./config');
 const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-// Use SendGrid for production compatibility, fallback to replitmail for Replit environment
-const { sendEmail } = process.env.SENDGRID_API_KEY ? 
-  require('./utils/sendgrid') : 
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+// Mail transport comes from config: SendGrid for production, Replit Mail inside Replit
+const { sendEmail } = config.mailTransport === 'sendgrid' ?
+  require('./utils/sendgrid') :
   require('./utils/replitmail');
+const { createRateLimiter, createMemoryStore, createMongoStore } = require('./utils/rateLimiter');
+const { tokenize, expandWithSynonyms, correctTerm } = require('./utils/search');
+const { createLocalStorage } = require('./utils/imageStorage');
+const { parseCsv, toCsvLine } = require('./utils/csv');
+const { createStockKeeper } = require('./utils/stock');
 
 const app = express();
 
 // JWT Secret configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'sm-furnishing-jwt-secret-2024';
+const JWT_SECRET = config.jwtSecret;
+
+// Email verification policy: unverified accounts can browse and use the cart but can't place orders
+const REQUIRE_VERIFIED_EMAIL_FOR_ORDERS = config.requireVerifiedEmailForOrders;
+
+// Unpaid online orders hold their stock this long before it is released (0 turns holds off)
+const STOCK_HOLD_MINUTES = config.stockHoldMinutes;
+
+// Checks the signature Razorpay returns after checkout. Without it only staff can mark payments verified.
+const RAZORPAY_KEY_SECRET = config.razorpayKeySecret;
+
+// Low-stock emails go to INVENTORY_ALERT_EMAILS, or to every staff and admin account when it's empty.
+// The daily digest of everything at or below its reorder threshold is sent at this hour (UTC).
+const INVENTORY_ALERT_EMAILS = config.inventoryAlertEmails;
+const LOW_STOCK_DIGEST_HOUR = config.lowStockDigestHour;
+
+// Rate limit counters: in-memory by default, RATE_LIMIT_STORE=mongo to share them between instances
+const rateLimitStore = config.rateLimitStore === 'mongo'
+  ? createMongoStore(() => rateLimitsCollection)
+  : createMemoryStore();
+
+// Login attempts per account, reset by a successful login: backoff after 3 failures, 15 minute lockout after 10
+const loginAccountLimiter = createRateLimiter({
+  store: rateLimitStore,
+  windowMs: 15 * 60 * 1000,
+  freeAttempts: 3,
+  maxAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  lockoutMs: 15 * 60 * 1000
+});
+
+// Login attempts per IP, across all accounts - counted before the password is checked, so successes count too
+const loginIpLimiter = createRateLimiter({
+  store: rateLimitStore,
+  windowMs: 15 * 60 * 1000,
+  freeAttempts: 20,
+  maxAttempts: 100,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  lockoutMs: 15 * 60 * 1000
+});
+
+// Requests per IP for endpoints that send email or store public submissions
+const otpRequestLimiter = createRateLimiter({
+  store: rateLimitStore,
+  windowMs: 15 * 60 * 1000,
+  freeAttempts: 10,
+  maxAttempts: 10
+});
+const publicFormLimiter = createRateLimiter({
+  store: rateLimitStore,
+  windowMs: 60 * 60 * 1000,
+  freeAttempts: 10,
+  maxAttempts: 10
+});
+
+// Uploaded product images: local disk by default (IMAGE_STORAGE); other adapters plug in here
+const imageStorage = createLocalStorage({ directory: config.uploadDir, baseUrl: config.uploadBaseUrl });
+
+// Trust proxy hops so req.ip is the client address (used for per-IP quotas)
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
 app.use(express.json());
+if (config.imageStorage === 'local') {
+  app.use(config.uploadBaseUrl, express.static(config.uploadDir));
+}
+
+// Token lifetimes
+const ACCESS_TOKEN_EXPIRES_IN = config.accessTokenExpiresIn;
+const REFRESH_TOKEN_TTL_DAYS = config.refreshTokenTtlDays;
+
+// Hash opaque tokens before storing them so a database leak can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Escape text before putting it in an email's HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 // JWT Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -31,7 +117,7 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
     if (err) {
       return res.status(403).json({
         success: false,
@@ -39,13 +125,369 @@ const authenticateToken = (req, res, next) => {
         error: 'Authentication failed'
       });
     }
-    req.user = decoded;
-    next();
+
+    // Guest cart tokens never grant account access
+    if (decoded.type === 'guest' || !decoded.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token.',
+        error: 'Authentication failed'
+      });
+    }
+
+    try {
+      // Reject tokens that were explicitly revoked (e.g. on logout)
+      if (decoded.jti) {
+        const revoked = await revokedTokensCollection.findOne({ jti: decoded.jti });
+        if (revoked) {
+          return res.status(401).json({
+            success: false,
+            message: 'Token has been revoked. Please log in again.',
+            error: 'Token revoked'
+          });
+        }
+      }
+
+      // Reject tokens issued before the user's sessions were invalidated
+      // (password change or "log out all devices")
+      const user = await usersCollection.findOne(
+        { _id: new ObjectId(decoded.userId) },
+        { projection: { tokensValidAfter: 1 } }
+      );
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User no longer exists.',
+          error: 'Authentication failed'
+        });
+      }
+
+      // "iat" only has second precision; issuedAtMs is exact. Older tokens without it are
+      // treated as issued at the start of their second, so a revoke never misses them.
+      const issuedAt = decoded.issuedAtMs || decoded.iat * 1000;
+      if (user.tokensValidAfter && issuedAt < user.tokensValidAfter.getTime()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session is no longer valid. Please log in again.',
+          error: 'Token revoked'
+        });
+      }
+
+      req.user = decoded;
+      req.token = token;
+      next();
+    } catch (error) {
+      console.error('Error authenticating token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error authenticating token',
+        error: error.message
+      });
+    }
+  });
+};
+
+// Authenticate when a token is sent, but let anonymous requests through (req.user stays unset)
+const optionalAuthenticateToken = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Issue a short-lived access token and a rotating refresh token for a user
+async function issueAuthTokens(user, req, familyId) {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role || 'customer',
+      emailVerified: user.emailVerified === true,
+      issuedAtMs: Date.now()
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  const now = new Date();
+
+  await refreshTokensCollection.insertOne({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    // All tokens produced by rotating one login share a family, so reuse of
+    // an already-rotated token can revoke the whole chain
+    familyId: familyId || crypto.randomUUID(),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+    userAgent: req.headers['user-agent'] || null,
+    ip: req.ip || null
+  });
+
+  return { token, refreshToken };
+}
+
+// Invalidate every access and refresh token a user currently holds
+async function revokeAllUserSessions(userId) {
+  // Compared against the token's millisecond issue time, so tokens issued earlier in
+  // the same second are revoked while ones issued right after this call stay valid
+  const validAfter = new Date();
+
+  await usersCollection.updateOne(
+    { _id: userId },
+    { $set: { tokensValidAfter: validAfter, updatedAt: new Date() } }
+  );
+  await refreshTokensCollection.updateMany(
+    { userId: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+// Whether the request comes from staff or an admin (false when nobody is signed in)
+const isStaffRequest = (req) => Boolean(req.user) && ['staff', 'admin'].includes(req.user.role);
+
+// OTP settings
+const OTP_PURPOSES = ['signup', 'login', 'password_reset', 'email_change', 'cod_confirmation'];
+
+// Purposes that have their own issue/verify endpoints and can't go through /api/send-otp or /api/verify-otp
+const RESTRICTED_OTP_PURPOSES = ['password_reset', 'email_change'];
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_PER_EMAIL_PER_HOUR = 5;
+const OTP_MAX_PER_IP_PER_HOUR = 20;
+
+// OTPs are stored as keyed hashes - a plain SHA-256 of a 6-digit code is trivially reversible
+const hashOtp = (email, purpose, otp) =>
+  crypto.createHmac('sha256', JWT_SECRET).update(`${email}:${purpose}:${otp}`).digest('hex');
+
+// Respond with an error result from issueOtp/verifyOtp
+const sendOtpError = (res, result) => {
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  return res.status(result.status).json({
+    success: false,
+    message: result.message,
+    ...(result.retryAfter && { retryAfter: result.retryAfter })
+  });
+};
+
+// Generate and store a new OTP, enforcing the resend cooldown and hourly quotas.
+// Returns { success: true, otp } or { success: false, status, message, retryAfter }
+async function issueOtp(email, purpose, ip) {
+  const now = new Date();
+  
+  // Resend cooldown per email and purpose
+  const latest = await otpCollection.findOne({ email, purpose }, { sort: { createdAt: -1 } });
+  if (latest) {
+    const secondsSinceLast = (now - latest.createdAt) / 1000;
+    if (secondsSinceLast < OTP_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLast);
+      return {
+        success: false,
+        status: 429,
+        message: `Please wait ${retryAfter} seconds before requesting a new code`,
+        retryAfter
+      };
+    }
+  }
+  
+  // Hourly quotas per email and per IP
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+  const emailRequests = await otpRequestsCollection.countDocuments({ email, createdAt: { $gte: hourAgo } });
+  const ipRequests = ip ? await otpRequestsCollection.countDocuments({ ip, createdAt: { $gte: hourAgo } }) : 0;
+  
+  if (emailRequests >= OTP_MAX_PER_EMAIL_PER_HOUR || ipRequests >= OTP_MAX_PER_IP_PER_HOUR) {
+    return {
+      success: false,
+      status: 429,
+      message: 'Too many verification codes requested. Please try again later.',
+      retryAfter: 60 * 60
+    };
+  }
+  
+  // Generate 6-digit OTP
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  
+  // Replace any previous code for this email and purpose
+  await otpCollection.deleteMany({ email, purpose });
+  await otpCollection.insertOne({
+    email,
+    purpose,
+    otpHash: hashOtp(email, purpose, otp),
+    attempts: 0,
+    createdAt: now,
+    verified: false
   });
+  await otpRequestsCollection.insertOne({ email, purpose, ip: ip || null, createdAt: now });
+  
+  return { success: true, otp };
+}
+
+// Check an OTP for the given purpose, counting the attempt against the code.
+// Returns { success: true, record } or { success: false, status, message }
+async function verifyOtp(email, purpose, otp) {
+  // Count the attempt before comparing so parallel guesses can't exceed the cap
+  const record = await otpCollection.findOneAndUpdate(
+    { email, purpose, verified: false },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, returnDocument: 'after' }
+  );
+  
+  if (!record || !record.otpHash) {
+    return { success: false, status: 400, message: 'Invalid or expired OTP' };
+  }
+  
+  // Check if OTP is expired
+  const otpAge = (new Date() - record.createdAt) / 1000 / 60; // minutes
+  if (otpAge > OTP_TTL_MINUTES) {
+    await otpCollection.deleteOne({ _id: record._id });
+    return { success: false, status: 400, message: 'OTP has expired. Please request a new one.' };
+  }
+  
+  if (record.attempts > OTP_MAX_ATTEMPTS) {
+    await otpCollection.deleteOne({ _id: record._id });
+    return { success: false, status: 429, message: 'Too many incorrect attempts. Please request a new code.' };
+  }
+  
+  const expected = Buffer.from(record.otpHash, 'hex');
+  const actual = Buffer.from(hashOtp(email, purpose, otp.toString()), 'hex');
+  
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = OTP_MAX_ATTEMPTS - record.attempts;
+    if (remaining <= 0) {
+      await otpCollection.deleteOne({ _id: record._id });
+      return { success: false, status: 429, message: 'Too many incorrect attempts. Please request a new code.' };
+    }
+    return { success: false, status: 400, message: `Invalid OTP. ${remaining} attempt(s) remaining.` };
+  }
+  
+  return { success: true, record };
+}
+
+// Shipping address fields shared by saved addresses and the order customer block
+const ADDRESS_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'pin_code', 'country'];
+const MAX_SAVED_ADDRESSES = 20;
+
+// Indian pin codes are 6 digits and never start with 0; other countries aren't checked
+const isValidPinCode = (pinCode, country) => {
+  const isIndia = ['india', 'in'].includes(String(country).trim().toLowerCase());
+  return !isIndia || /^[1-9][0-9]{5}$/.test(String(pinCode).replace(/\s/g, ''));
+};
+
+// Returns an error message for an invalid address, or null if it's valid
+function validateAddress(address) {
+  const missingFields = ADDRESS_FIELDS.filter(field =>
+    typeof address[field] !== 'string' || !address[field].trim()
+  );
+  
+  if (missingFields.length > 0) {
+    return `Missing address fields: ${missingFields.join(', ')}`;
+  }
+  
+  if (!isValidPinCode(address.pin_code, address.country)) {
+    return 'Please enter a valid 6-digit Indian pin code';
+  }
+  
+  return null;
+}
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// URL slug from a name: "Velvet 3-Seater Sofa" -> "velvet-3-seater-sofa"
+const slugify = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '') || 'item';
+
+// Slug for a name that no other document in the collection uses - now or as an old slug kept
+// for redirects. Collisions get a numeric suffix: sofa, sofa-2, sofa-3...
+async function generateUniqueSlug(collection, name, excludeId = null) {
+  const base = slugify(name);
+  const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+  
+  const conflicts = await collection
+    .find({ $or: [{ slug: pattern }, { previousSlugs: pattern }], ...(excludeId && { _id: { $ne: excludeId } }) })
+    .project({ slug: 1, previousSlugs: 1 })
+    .toArray();
+  
+  const taken = new Set(conflicts.flatMap(doc => [doc.slug, ...(doc.previousSlugs || [])]));
+  if (!taken.has(base)) {
+    return base;
+  }
+  
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix++;
+  }
+  return `${base}-${suffix}`;
+}
+
+// Slug fields to set when a document is renamed: a new slug, with the old one kept in
+// previousSlugs so existing links can be redirected
+async function slugFieldsForRename(collection, doc, newName) {
+  const slug = await generateUniqueSlug(collection, newName, doc._id);
+  if (slug === doc.slug) {
+    return {};
+  }
+  
+  const previousSlugs = [...new Set([...(doc.previousSlugs || []), doc.slug])]
+    .filter(previousSlug => previousSlug && previousSlug !== slug);
+  return { slug, previousSlugs };
+}
+
+// Find a document by its slug or one of its old slugs, optionally narrowed by a filter.
+// Returns { doc, redirect }, where redirect is true when an old slug matched.
+async function findBySlug(collection, slug, filter = {}) {
+  const doc = await collection.findOne({ $or: [{ slug }, { previousSlugs: slug }], ...filter });
+  return { doc, redirect: Boolean(doc) && doc.slug !== slug };
+}
+
+// Answer an old-slug lookup with a permanent redirect to the current slug
+const sendSlugRedirect = (res, location, slug) => res.status(301).location(location).json({
+  success: true,
+  message: 'Moved permanently',
+  slug: slug,
+  location: location
+});
+
+// Archived (soft-deleted) products and categories keep their document, marked with deletedAt.
+// Public reads go through this filter; null also matches documents that were never archived.
+const NOT_ARCHIVED = { deletedAt: null };
+
+// Who made a change, as recorded in audit trails: the signed-in user, or null for guests and the server itself
+const requestActor = (req) => req && req.user ? { userId: new ObjectId(req.user.userId), email: req.user.email } : null;
+
+// User roles, from least to most privileged
+const USER_ROLES = ['customer', 'staff', 'admin'];
+
+// Role-based authorization middleware (must run after authenticateToken)
+const authorizeRoles = (...allowedRoles) => (req, res, next) => {
+  // Tokens issued before roles existed carry no role - treat them as customers
+  const role = (req.user && req.user.role) || 'customer';
+
+  if (!allowedRoles.includes(role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have permission to perform this action.',
+      error: 'Insufficient permissions'
+    });
+  }
+  next();
 };
 
 // MongoDB connection
-const uri = process.env.MONGODB_URI;
+const uri = config.mongodbUri;
 const client = new MongoClient(uri);
 
 let db;
@@ -58,6 +500,17 @@ let formDataCollection;
 let newsletterEmailsCollection;
 let cartCollection;
 let newOrdersCollection;
+let refreshTokensCollection;
+let revokedTokensCollection;
+let otpRequestsCollection;
+let rateLimitsCollection;
+let wishlistsCollection;
+let curatedCollectionsCollection;
+let reviewsCollection;
+let inventoryMovementsCollection;
+let lowStockDigestsCollection;
+let priceRulesCollection;
+let priceHistoryCollection;
 
 // Connect to MongoDB
 async function connectToMongoDB() {
@@ -66,7 +519,7 @@ async function connectToMongoDB() {
     console.log('✅ Connected to MongoDB Atlas');
     
     // Connect to the database and collections
-    db = client.db('smFurnishing');
+    db = client.db(config.dbName);
     productsCollection = db.collection('products');
     categoriesCollection = db.collection('categories');
     usersCollection = db.collection('users');
@@ -76,37 +529,196 @@ async function connectToMongoDB() {
     newsletterEmailsCollection = db.collection('newsletter-emails');
     cartCollection = db.collection('cart');
     newOrdersCollection = db.collection('new_orders');
+    refreshTokensCollection = db.collection('refresh_tokens');
+    revokedTokensCollection = db.collection('revoked_tokens');
+    otpRequestsCollection = db.collection('otp_requests');
+    rateLimitsCollection = db.collection('rate_limits');
+    wishlistsCollection = db.collection('wishlists');
+    curatedCollectionsCollection = db.collection('curated_collections');
+    reviewsCollection = db.collection('reviews');
+    inventoryMovementsCollection = db.collection('inventory_movements');
+    lowStockDigestsCollection = db.collection('low_stock_digests');
+    priceRulesCollection = db.collection('price_rules');
+    priceHistoryCollection = db.collection('price_history');
+    
+    // Create indexes for product listing filters and sorts
+    try {
+      await productsCollection.createIndex({ categoryId: 1, price: 1 });
+      await productsCollection.createIndex({ status: 1, price: 1 });
+      await productsCollection.createIndex({ price: 1 });
+      await productsCollection.createIndex({ createdAt: -1 });
+      await productsCollection.createIndex({ stock: 1 });
+      await productsCollection.createIndex({ newArrival: 1, createdAt: -1 });
+      await productsCollection.createIndex({ featured: 1 });
+      await productsCollection.createIndex({ bestseller: 1 });
+      await productsCollection.createIndex({ legacyLatestProductIds: 1 });
+      await productsCollection.createIndex(
+        { sku: 1 },
+        { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+      );
+      await productsCollection.createIndex(
+        { 'variants.sku': 1 },
+        { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+      );
+      console.log('✅ Products listing indexes created');
+    } catch (error) {
+      console.log('ℹ️ Products listing indexes already exist');
+    }
     
-    // Create users collection with schema validation
+    // Fold the old latestproducts collection into products (new arrivals)
     try {
-      await db.createCollection("users", {
-        validator: {
-          $jsonSchema: {
-            bsonType: "object",
-            required: ["name", "email", "password"],
-            properties: {
-              name: {
-                bsonType: "string",
-                description: "must be a string and is required"
-              },
-              email: {
-                bsonType: "string",
-                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
-                description: "must be a valid email and is required"
-              },
-              password: {
-                bsonType: "string",
-                minLength: 6,
-                description: "must be a string of at least 6 characters and is required"
+      await migrateLatestProducts();
+    } catch (error) {
+      console.log('⚠️ Error migrating latest products:', error.message);
+    }
+    
+    // Give products and categories created before slugs existed a slug, then index them
+    try {
+      for (const collection of [productsCollection, categoriesCollection]) {
+        const withoutSlug = await collection.find({ slug: { $exists: false } }).project({ name: 1 }).toArray();
+        for (const doc of withoutSlug) {
+          await collection.updateOne(
+            { _id: doc._id },
+            { $set: { slug: await generateUniqueSlug(collection, doc.name || 'item') } }
+          );
+        }
+      }
+    } catch (error) {
+      console.log('⚠️ Error generating slugs:', error.message);
+    }
+    
+    try {
+      for (const collection of [productsCollection, categoriesCollection, curatedCollectionsCollection]) {
+        await collection.createIndex(
+          { slug: 1 },
+          { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+        );
+        await collection.createIndex({ previousSlugs: 1 });
+      }
+      console.log('✅ Slug indexes created');
+    } catch (error) {
+      console.log('ℹ️ Slug indexes already exist');
+    }
+    
+    // Create index for category tree lookups
+    try {
+      await categoriesCollection.createIndex({ parentId: 1 });
+      console.log('✅ Categories parentId index created');
+    } catch (error) {
+      console.log('ℹ️ Categories parentId index already exists');
+    }
+    
+    // Create indexes for archived (soft-deleted) products and categories
+    try {
+      await productsCollection.createIndex({ deletedAt: 1 });
+      await categoriesCollection.createIndex({ deletedAt: 1 });
+      console.log('✅ Archive indexes created');
+    } catch (error) {
+      console.log('ℹ️ Archive indexes already exist');
+    }
+    
+    // Create text index for product search (category names are copied onto products as categoryName)
+    try {
+      await productsCollection.createIndex(
+        { name: 'text', description: 'text', categoryName: 'text' },
+        { name: 'product_search', weights: { name: 10, categoryName: 4, description: 1 } }
+      );
+      console.log('✅ Products search index created');
+    } catch (error) {
+      console.log('ℹ️ Products search index already exists');
+    }
+    
+    // Backfill categoryName on products created before search existed
+    try {
+      const categories = await categoriesCollection.find({}).project({ name: 1 }).toArray();
+      for (const category of categories) {
+        await productsCollection.updateMany(
+          { categoryId: { $in: [category._id, category._id.toString()] }, categoryName: { $ne: category.name } },
+          { $set: { categoryName: category.name } }
+        );
+      }
+    } catch (error) {
+      console.log('⚠️ Error syncing product category names:', error.message);
+    }
+    
+    // Users schema - applied on creation and re-applied to an existing collection
+    const usersValidator = {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["name", "email", "password"],
+        properties: {
+          name: {
+            bsonType: "string",
+            description: "must be a string and is required"
+          },
+          email: {
+            bsonType: "string",
+            pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+            description: "must be a valid email and is required"
+          },
+          password: {
+            bsonType: "string",
+            minLength: 6,
+            description: "must be a string of at least 6 characters and is required"
+          },
+          role: {
+            bsonType: "string",
+            enum: USER_ROLES,
+            description: "must be one of: customer, staff, admin"
+          },
+          emailVerified: {
+            bsonType: "bool",
+            description: "whether the email address has been verified"
+          },
+          emailVerifiedAt: {
+            bsonType: ["date", "null"],
+            description: "when the email address was verified"
+          },
+          phone: {
+            bsonType: ["string", "null"],
+            pattern: "^\\+[1-9]\\d{0,3}[-\\.\\s]?\\(?\\d{1,4}\\)?[-\\.\\s]?\\d{1,4}[-\\.\\s]?\\d{1,9}$",
+            description: "international phone number with country code"
+          },
+          pendingEmail: {
+            bsonType: "string",
+            description: "new email address awaiting OTP verification"
+          },
+          addresses: {
+            bsonType: "array",
+            description: "saved addresses",
+            items: {
+              bsonType: "object",
+              required: ["_id", "name", "phone", "address", "city", "state", "pin_code", "country"],
+              properties: {
+                _id: { bsonType: "objectId" },
+                label: { bsonType: ["string", "null"] },
+                name: { bsonType: "string" },
+                phone: { bsonType: "string" },
+                address: { bsonType: "string" },
+                city: { bsonType: "string" },
+                state: { bsonType: "string" },
+                pin_code: { bsonType: "string" },
+                country: { bsonType: "string" },
+                isDefaultShipping: { bsonType: "bool" },
+                isDefaultBilling: { bsonType: "bool" }
               }
             }
           }
         }
-      });
+      }
+    };
+    
+    try {
+      await db.createCollection("users", { validator: usersValidator });
       console.log('✅ Users collection created with validation');
     } catch (error) {
       if (error.code === 48) {
-        console.log('ℹ️ Users collection already exists');
+        try {
+          await db.command({ collMod: "users", validator: usersValidator });
+          console.log('ℹ️ Users collection already exists - validation updated');
+        } catch (collModError) {
+          console.log('⚠️ Error updating users collection validation:', collModError.message);
+        }
       } else {
         console.log('⚠️ Error creating users collection:', error.message);
       }
@@ -120,6 +732,40 @@ async function connectToMongoDB() {
       console.log('ℹ️ Email index already exists');
     }
     
+    // Accounts from before email verification existed have no emailVerified. They could always order,
+    // so they are grandfathered in as verified - emailVerifiedAt stays null - instead of being blocked.
+    try {
+      const result = await usersCollection.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true, emailVerifiedAt: null } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`✅ ${result.modifiedCount} account(s) from before email verification marked as verified`);
+      }
+    } catch (error) {
+      console.log('⚠️ Error marking older accounts as verified:', error.message);
+    }
+    
+    // Create indexes for refresh_tokens collection (expired tokens are removed automatically)
+    try {
+      await refreshTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+      await refreshTokensCollection.createIndex({ userId: 1 });
+      await refreshTokensCollection.createIndex({ familyId: 1 });
+      await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log('✅ Refresh tokens indexes created');
+    } catch (error) {
+      console.log('ℹ️ Refresh tokens indexes already exist');
+    }
+    
+    // Create indexes for revoked_tokens collection (entries live until the access token would expire anyway)
+    try {
+      await revokedTokensCollection.createIndex({ jti: 1 }, { unique: true });
+      await revokedTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log('✅ Revoked tokens indexes created');
+    } catch (error) {
+      console.log('ℹ️ Revoked tokens indexes already exist');
+    }
+    
     // Create OTP collection with TTL index (expires after 10 minutes)
     try {
       await otpCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 600 });
@@ -128,6 +774,25 @@ async function connectToMongoDB() {
       console.log('ℹ️ OTP TTL index already exists');
     }
     
+    // Create indexes for otp_requests collection (quota window is one hour)
+    try {
+      await otpCollection.createIndex({ email: 1, purpose: 1 });
+      await otpRequestsCollection.createIndex({ email: 1, createdAt: -1 });
+      await otpRequestsCollection.createIndex({ ip: 1, createdAt: -1 });
+      await otpRequestsCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+      console.log('✅ OTP request quota indexes created');
+    } catch (error) {
+      console.log('ℹ️ OTP request quota indexes already exist');
+    }
+    
+    // Create TTL index for rate_limits collection (used when RATE_LIMIT_STORE=mongo)
+    try {
+      await rateLimitsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log('✅ Rate limits TTL index created');
+    } catch (error) {
+      console.log('ℹ️ Rate limits TTL index already exists');
+    }
+    
     // Create form-data collection with schema validation
     try {
       await db.createCollection("form-data", {
@@ -255,85 +920,115 @@ async function connectToMongoDB() {
       console.log('ℹ️ Newsletter-emails indexes already exist');
     }
     
-    // Create cart collection with schema validation
-    try {
-      await db.createCollection("cart", {
-        validator: {
-          $jsonSchema: {
-            bsonType: "object",
-            required: ["userId", "items", "totalAmount", "totalItems", "status"],
-            properties: {
-              userId: {
-                bsonType: "objectId",
-                description: "must be an ObjectId and is required"
-              },
-              items: {
-                bsonType: "array",
-                description: "must be an array of cart items",
-                items: {
-                  bsonType: "object",
-                  required: ["productId", "productName", "productImage", "quantity", "priceAtTime", "addedAt"],
-                  properties: {
-                    productId: {
-                      bsonType: "objectId",
-                      description: "must be an ObjectId and is required"
-                    },
-                    productName: {
-                      bsonType: "string",
-                      description: "must be a string and is required"
-                    },
-                    productImage: {
-                      bsonType: "string",
-                      description: "must be a string and is required"
-                    },
-                    quantity: {
-                      bsonType: "int",
-                      minimum: 1,
-                      description: "must be an integer >= 1 and is required"
-                    },
-                    priceAtTime: {
-                      bsonType: "number",
-                      minimum: 0,
-                      description: "must be a number >= 0 and is required"
-                    },
-                    addedAt: {
-                      bsonType: "date",
-                      description: "must be a date and is required"
-                    }
-                  }
+    // Cart schema - a cart belongs to either a user (userId) or a guest (guestId)
+    const cartValidator = {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["items", "totalAmount", "totalItems", "status"],
+        oneOf: [
+          { required: ["userId"] },
+          { required: ["guestId"] }
+        ],
+        properties: {
+          userId: {
+            bsonType: "objectId",
+            description: "must be an ObjectId (user carts)"
+          },
+          guestId: {
+            bsonType: "string",
+            description: "must be a string (guest carts)"
+          },
+          expiresAt: {
+            bsonType: "date",
+            description: "guest cart expiry"
+          },
+          items: {
+            bsonType: "array",
+            description: "must be an array of cart items",
+            items: {
+              bsonType: "object",
+              required: ["productId", "productName", "productImage", "quantity", "priceAtTime", "addedAt"],
+              properties: {
+                productId: {
+                  bsonType: "objectId",
+                  description: "must be an ObjectId and is required"
+                },
+                variantId: {
+                  bsonType: ["objectId", "null"],
+                  description: "variant of the product, for products with variants"
+                },
+                sku: {
+                  bsonType: ["string", "null"],
+                  description: "variant SKU at the time it was added"
+                },
+                variantAttributes: {
+                  bsonType: ["object", "null"],
+                  description: "variant attributes at the time it was added"
+                },
+                productName: {
+                  bsonType: "string",
+                  description: "must be a string and is required"
+                },
+                productImage: {
+                  bsonType: "string",
+                  description: "must be a string and is required"
+                },
+                quantity: {
+                  bsonType: "int",
+                  minimum: 1,
+                  description: "must be an integer >= 1 and is required"
+                },
+                priceAtTime: {
+                  bsonType: "number",
+                  minimum: 0,
+                  description: "must be a number >= 0 and is required"
+                },
+                addedAt: {
+                  bsonType: "date",
+                  description: "must be a date and is required"
                 }
-              },
-              totalAmount: {
-                bsonType: "number",
-                minimum: 0,
-                description: "must be a number >= 0 and is required"
-              },
-              totalItems: {
-                bsonType: "int",
-                minimum: 0,
-                description: "must be an integer >= 0 and is required"
-              },
-              createdAt: {
-                bsonType: "date",
-                description: "must be a date"
-              },
-              updatedAt: {
-                bsonType: "date",
-                description: "must be a date"
-              },
-              status: {
-                bsonType: "string",
-                enum: ["active", "abandoned", "converted"],
-                description: "must be one of: active, abandoned, converted and is required"
               }
             }
+          },
+          totalAmount: {
+            bsonType: "number",
+            minimum: 0,
+            description: "must be a number >= 0 and is required"
+          },
+          totalItems: {
+            bsonType: "int",
+            minimum: 0,
+            description: "must be an integer >= 0 and is required"
+          },
+          createdAt: {
+            bsonType: "date",
+            description: "must be a date"
+          },
+          updatedAt: {
+            bsonType: "date",
+            description: "must be a date"
+          },
+          status: {
+            bsonType: "string",
+            enum: ["active", "abandoned", "converted"],
+            description: "must be one of: active, abandoned, converted and is required"
           }
         }
-      });
+      }
+    };
+    
+    // Create cart collection with schema validation (or bring an existing one up to date)
+    try {
+      await db.createCollection("cart", { validator: cartValidator });
       console.log('✅ Cart collection created with validation');
     } catch (error) {
       if (error.code === 48) {
-        console.log('ℹ️ Cart collection already exists');
+        try {
+          await db.command({ collMod: "cart", validator: cartValidator });
+          console.log('ℹ️ Cart collection already exists - validation updated');
+        } catch (collModError) {
+          console.log('⚠️ Error updating cart collection validation:', collModError.message);
+        }
       } else {
         console.log('⚠️ Error creating cart collection:', error.message);
       }
@@ -341,7 +1036,22 @@ async function connectToMongoDB() {
     
     // Create indexes for cart collection
     try {
-      await cartCollection.createIndex({ userId: 1 }, { unique: true });
+      // One cart per user - partial so guest carts (no userId) don't collide.
+      // Replace the old non-partial index if it's still there.
+      const cartIndexes = await cartCollection.indexes();
+      const oldUserIndex = cartIndexes.find(index => index.name === 'userId_1' && !index.partialFilterExpression);
+      if (oldUserIndex) {
+        await cartCollection.dropIndex('userId_1');
+      }
+      await cartCollection.createIndex(
+        { userId: 1 },
+        { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+      );
+      await cartCollection.createIndex(
+        { guestId: 1 },
+        { unique: true, partialFilterExpression: { guestId: { $exists: true } } }
+      );
+      await cartCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
       await cartCollection.createIndex({ "items.productId": 1 });
       await cartCollection.createIndex({ status: 1 });
       await cartCollection.createIndex({ updatedAt: -1 });
@@ -350,200 +1060,292 @@ async function connectToMongoDB() {
       console.log('ℹ️ Cart collection indexes already exist');
     }
     
-    // Create new_orders collection with schema validation
+    // Create indexes for curated_collections collection
     try {
-      await db.createCollection("new_orders", {
-        validator: {
-          $jsonSchema: {
+      await curatedCollectionsCollection.createIndex({ position: 1, createdAt: -1 });
+      await curatedCollectionsCollection.createIndex({ startsAt: 1, endsAt: 1 });
+      console.log('✅ Curated collections indexes created');
+    } catch (error) {
+      console.log('ℹ️ Curated collections indexes already exist');
+    }
+    
+    // Create indexes for reviews collection (one review per user and product)
+    try {
+      await reviewsCollection.createIndex({ productId: 1, userId: 1 }, { unique: true });
+      await reviewsCollection.createIndex({ productId: 1, status: 1, createdAt: -1 });
+      await reviewsCollection.createIndex({ status: 1, createdAt: 1 });
+      console.log('✅ Reviews collection indexes created');
+    } catch (error) {
+      console.log('ℹ️ Reviews collection indexes already exist');
+    }
+    
+    // Create indexes for inventory movements (stock history per product, per type and per order)
+    try {
+      await inventoryMovementsCollection.createIndex({ productId: 1, createdAt: -1 });
+      await inventoryMovementsCollection.createIndex({ type: 1, createdAt: -1 });
+      await inventoryMovementsCollection.createIndex({ orderId: 1 });
+      console.log('✅ Inventory movements indexes created');
+    } catch (error) {
+      console.log('ℹ️ Inventory movements indexes already exist');
+    }
+    
+    // Create indexes for price rules (current and upcoming sales) and price history
+    try {
+      await priceRulesCollection.createIndex({ endsAt: 1 });
+      await priceRulesCollection.createIndex({ startsAt: -1 });
+      await priceHistoryCollection.createIndex({ productId: 1, createdAt: -1 });
+      await priceHistoryCollection.createIndex({ priceRuleId: 1, createdAt: -1 });
+      await priceHistoryCollection.createIndex({ createdAt: -1 });
+      console.log('✅ Pricing indexes created');
+    } catch (error) {
+      console.log('ℹ️ Pricing indexes already exist');
+    }
+    
+    // Create indexes for wishlists collection
+    try {
+      await wishlistsCollection.createIndex({ userId: 1 }, { unique: true });
+      await wishlistsCollection.createIndex({ "items.productId": 1 });
+      console.log('✅ Wishlists collection indexes created');
+    } catch (error) {
+      console.log('ℹ️ Wishlists collection indexes already exist');
+    }
+    
+    // new_orders schema - applied on creation and re-applied to an existing collection
+    const newOrdersValidator = {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["order_id", "order_date", "status", "user", "items", "customer", "pricing", "payment"],
+        properties: {
+          order_id: {
+            bsonType: "string",
+            description: "Unique order identifier - required"
+          },
+          order_date: {
+            bsonType: "date",
+            description: "Order creation date - required"
+          },
+          status: {
+            bsonType: "string",
+            enum: ["pending", "processing", "shipped", "completed", "cancelled", "refunded"],
+            description: "Order status - required"
+          },
+          user: {
             bsonType: "object",
-            required: ["order_id", "order_date", "status", "user", "items", "customer", "pricing", "payment"],
+            required: ["username", "user_email"],
             properties: {
-              order_id: {
-                bsonType: "string",
-                description: "Unique order identifier - required"
-              },
-              order_date: {
-                bsonType: "date",
-                description: "Order creation date - required"
+              user_id: {
+                bsonType: ["objectId", "null"],
+                description: "Reference to User collection - optional"
               },
-              status: {
+              username: {
                 bsonType: "string",
-                enum: ["pending", "processing", "shipped", "completed", "cancelled", "refunded"],
-                description: "Order status - required"
+                description: "Username - required"
               },
-              user: {
-                bsonType: "object",
-                required: ["username", "user_email"],
-                properties: {
-                  user_id: {
-                    bsonType: ["objectId", "null"],
-                    description: "Reference to User collection - optional"
-                  },
-                  username: {
-                    bsonType: "string",
-                    description: "Username - required"
-                  },
-                  user_email: {
-                    bsonType: "string",
-                    pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
-                    description: "User email - required"
-                  }
+              user_email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+                description: "User email - required"
+              }
+            }
+          },
+          items: {
+            bsonType: "array",
+            minItems: 1,
+            items: {
+              bsonType: "object",
+              required: ["product_id", "product_name", "quantity", "price"],
+              properties: {
+                product_id: {
+                  bsonType: "string",
+                  description: "Product ID - required"
+                },
+                variant_id: {
+                  bsonType: ["string", "null"],
+                  description: "Variant ID - for products with variants"
+                },
+                sku: {
+                  bsonType: ["string", "null"],
+                  description: "Variant SKU"
+                },
+                variant_attributes: {
+                  bsonType: ["object", "null"],
+                  description: "Variant attributes, e.g. color and size"
+                },
+                product_name: {
+                  bsonType: "string",
+                  description: "Product name - required"
+                },
+                quantity: {
+                  bsonType: "int",
+                  minimum: 1,
+                  description: "Quantity - minimum 1"
+                },
+                price: {
+                  bsonType: "number",
+                  minimum: 0,
+                  description: "Price at time of order"
                 }
+              }
+            }
+          },
+          customer: {
+            bsonType: "object",
+            required: ["name", "email", "phone", "address", "city", "state", "pin_code", "country"],
+            properties: {
+              name: {
+                bsonType: "string"
               },
-              items: {
-                bsonType: "array",
-                minItems: 1,
-                items: {
-                  bsonType: "object",
-                  required: ["product_id", "product_name", "quantity", "price"],
-                  properties: {
-                    product_id: {
-                      bsonType: "string",
-                      description: "Product ID - required"
-                    },
-                    product_name: {
-                      bsonType: "string",
-                      description: "Product name - required"
-                    },
-                    quantity: {
-                      bsonType: "int",
-                      minimum: 1,
-                      description: "Quantity - minimum 1"
-                    },
-                    price: {
-                      bsonType: "number",
-                      minimum: 0,
-                      description: "Price at time of order"
-                    }
-                  }
-                }
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$"
               },
-              customer: {
-                bsonType: "object",
-                required: ["name", "email", "phone", "address", "city", "state", "pin_code", "country"],
-                properties: {
-                  name: {
-                    bsonType: "string"
-                  },
-                  email: {
-                    bsonType: "string",
-                    pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$"
-                  },
-                  phone: {
-                    bsonType: "string"
-                  },
-                  address: {
-                    bsonType: "string"
-                  },
-                  city: {
-                    bsonType: "string"
-                  },
-                  state: {
-                    bsonType: "string"
-                  },
-                  pin_code: {
-                    bsonType: "string"
-                  },
-                  country: {
-                    bsonType: "string"
-                  }
-                }
+              phone: {
+                bsonType: "string"
               },
-              pricing: {
-                bsonType: "object",
-                required: ["subtotal", "tax", "shipping", "total"],
-                properties: {
-                  subtotal: {
-                    bsonType: "number",
-                    minimum: 0
-                  },
-                  tax: {
-                    bsonType: "number",
-                    minimum: 0
-                  },
-                  shipping: {
-                    bsonType: "number",
-                    minimum: 0
-                  },
-                  discount: {
-                    bsonType: ["number", "null"],
-                    minimum: 0
-                  },
-                  total: {
-                    bsonType: "number",
-                    minimum: 0
-                  }
-                }
+              address: {
+                bsonType: "string"
               },
-              payment: {
-                bsonType: "object",
-                required: ["method", "status"],
-                properties: {
-                  method: {
-                    bsonType: "string",
-                    enum: ["razorpay", "stripe", "paypal", "cod", "bank_transfer"]
-                  },
-                  status: {
-                    bsonType: "string",
-                    enum: ["pending", "processing", "verified", "failed", "refunded"]
-                  },
-                  razorpay_order_id: {
-                    bsonType: ["string", "null"]
-                  },
-                  razorpay_payment_id: {
-                    bsonType: ["string", "null"]
-                  },
-                  razorpay_signature: {
-                    bsonType: ["string", "null"]
-                  },
-                  transaction_id: {
-                    bsonType: ["string", "null"]
-                  },
-                  payment_date: {
-                    bsonType: ["date", "null"]
-                  }
-                }
+              city: {
+                bsonType: "string"
+              },
+              state: {
+                bsonType: "string"
+              },
+              pin_code: {
+                bsonType: "string"
+              },
+              country: {
+                bsonType: "string"
+              }
+            }
+          },
+          pricing: {
+            bsonType: "object",
+            required: ["subtotal", "tax", "shipping", "total"],
+            properties: {
+              subtotal: {
+                bsonType: "number",
+                minimum: 0
+              },
+              tax: {
+                bsonType: "number",
+                minimum: 0
               },
               shipping: {
-                bsonType: ["object", "null"],
-                properties: {
-                  carrier: {
-                    bsonType: ["string", "null"]
-                  },
-                  tracking_number: {
-                    bsonType: ["string", "null"]
-                  },
-                  shipped_date: {
-                    bsonType: ["date", "null"]
-                  },
-                  delivered_date: {
-                    bsonType: ["date", "null"]
-                  }
-                }
+                bsonType: "number",
+                minimum: 0
+              },
+              discount: {
+                bsonType: ["number", "null"],
+                minimum: 0
+              },
+              total: {
+                bsonType: "number",
+                minimum: 0
+              }
+            }
+          },
+          payment: {
+            bsonType: "object",
+            required: ["method", "status"],
+            properties: {
+              method: {
+                bsonType: "string",
+                enum: ["razorpay", "stripe", "paypal", "cod", "bank_transfer"]
+              },
+              status: {
+                bsonType: "string",
+                enum: ["pending", "processing", "verified", "failed", "refunded"]
               },
-              notes: {
+              razorpay_order_id: {
                 bsonType: ["string", "null"]
               },
-              invoice_number: {
+              razorpay_payment_id: {
                 bsonType: ["string", "null"]
               },
-              is_deleted: {
-                bsonType: ["bool", "null"]
+              razorpay_signature: {
+                bsonType: ["string", "null"]
               },
-              createdAt: {
+              transaction_id: {
+                bsonType: ["string", "null"]
+              },
+              payment_date: {
                 bsonType: ["date", "null"]
               },
-              updatedAt: {
+              verified_via: {
+                enum: ["razorpay_signature", "staff", null],
+                description: "How a verified payment was confirmed"
+              }
+            }
+          },
+          shipping: {
+            bsonType: ["object", "null"],
+            properties: {
+              carrier: {
+                bsonType: ["string", "null"]
+              },
+              tracking_number: {
+                bsonType: ["string", "null"]
+              },
+              shipped_date: {
+                bsonType: ["date", "null"]
+              },
+              delivered_date: {
                 bsonType: ["date", "null"]
               }
             }
+          },
+          notes: {
+            bsonType: ["string", "null"]
+          },
+          invoice_number: {
+            bsonType: ["string", "null"]
+          },
+          is_deleted: {
+            bsonType: ["bool", "null"]
+          },
+          stock_status: {
+            enum: ["held", "deducted", "released", null],
+            description: "Whether the order's stock is held, taken for good or given back"
+          },
+          stock_hold_expires_at: {
+            bsonType: ["date", "null"]
+          },
+          stock_released_at: {
+            bsonType: ["date", "null"]
+          },
+          stock_release_reason: {
+            bsonType: ["string", "null"]
+          },
+          completed_at: {
+            bsonType: ["date", "null"]
+          },
+          completed_by: {
+            bsonType: ["object", "null"],
+            description: "Staff member who marked the order completed"
+          },
+          createdAt: {
+            bsonType: ["date", "null"]
+          },
+          updatedAt: {
+            bsonType: ["date", "null"]
           }
         }
-      });
+      }
+    };
+    
+    // Create new_orders collection with schema validation (or bring an existing one up to date)
+    try {
+      await db.createCollection("new_orders", { validator: newOrdersValidator });
       console.log('✅ New_orders collection created with validation');
     } catch (error) {
       if (error.code === 48) {
-        console.log('ℹ️ New_orders collection already exists');
+        try {
+          await db.command({ collMod: "new_orders", validator: newOrdersValidator });
+          console.log('ℹ️ New_orders collection already exists - validation updated');
+        } catch (collModError) {
+          console.log('⚠️ Error updating new_orders collection validation:', collModError.message);
+        }
       } else {
         console.log('⚠️ Error creating new_orders collection:', error.message);
       }
@@ -562,6 +1364,8 @@ async function connectToMongoDB() {
       await newOrdersCollection.createIndex({ "payment.razorpay_order_id": 1 }, { sparse: true });
       await newOrdersCollection.createIndex({ "payment.razorpay_payment_id": 1 }, { sparse: true });
       await newOrdersCollection.createIndex({ "invoice_number": 1 }, { sparse: true });
+      await newOrdersCollection.createIndex({ "items.product_id": 1, "status": 1 });
+      await newOrdersCollection.createIndex({ "stock_status": 1, "stock_hold_expires_at": 1 });
       console.log('✅ New_orders collection indexes created');
     } catch (error) {
       console.log('ℹ️ New_orders collection indexes already exist');
@@ -624,11 +1428,21 @@ app.post('/api/signup', async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     
+    // An email verified through /api/verify-otp just before signing up counts as verified
+    const verifiedOtp = await otpCollection.findOne({
+      email: email.toLowerCase().trim(),
+      purpose: 'signup',
+      verified: true
+    });
+    
     // Create new user object
     const newUser = {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: hashedPassword,
+      role: 'customer',
+      emailVerified: !!verifiedOtp,
+      emailVerifiedAt: verifiedOtp ? verifiedOtp.verifiedAt : null,
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -636,29 +1450,30 @@ app.post('/api/signup', async (req, res) => {
     // Save user to database
     const result = await usersCollection.insertOne(newUser);
     
+    if (verifiedOtp) {
+      await otpCollection.deleteOne({ _id: verifiedOtp._id });
+    }
+    
     // Get the inserted user (without password)
     const insertedUser = await usersCollection.findOne(
       { _id: result.insertedId },
       { projection: { password: 0 } }
     );
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: insertedUser._id,
-        email: insertedUser.email,
-        name: insertedUser.name
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(insertedUser, req);
+    
+    // Carry over anything the visitor put in a guest cart
+    const cartMerge = await mergeGuestCartSafely(req, insertedUser._id);
     
     // Send success response
     res.status(201).json({
       success: true,
       message: 'User created successfully',
       token: token,
-      user: insertedUser
+      refreshToken: refreshToken,
+      user: insertedUser,
+      ...(cartMerge && { cartMerge })
     });
     
     console.log(`✅ New user registered: ${email}`);
@@ -695,50 +1510,95 @@ app.post('/api/login', async (req, res) => {
       });
     }
     
-    // Find user by email
-    const user = await usersCollection.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      return res.status(401).json({
+    const accountKey = `login:account:${email.toLowerCase()}`;
+    const ipKey = `login:ip:${req.ip}`;
+    
+    // Throttle before checking the password: turn away blocked requests, then count this
+    // attempt atomically so parallel guesses can't get past the limit
+    let accountAttempt = await loginAccountLimiter.check(accountKey);
+    let ipAttempt = await loginIpLimiter.check(ipKey);
+    if (accountAttempt.allowed && ipAttempt.allowed) {
+      accountAttempt = await loginAccountLimiter.hit(accountKey);
+      ipAttempt = await loginIpLimiter.hit(ipKey);
+    }
+    const blocked = !accountAttempt.allowed ? accountAttempt : (!ipAttempt.allowed ? ipAttempt : null);
+    
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({
         success: false,
-        message: 'Invalid email or password'
+        message: blocked.locked
+          ? 'Too many failed login attempts. Sign-in is temporarily locked, please try again later.'
+          : `Too many failed login attempts. Please wait ${blocked.retryAfter} seconds and try again.`,
+        retryAfter: blocked.retryAfter
       });
     }
     
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Find user by email and verify password
+    const user = await usersCollection.findOne({ email: email.toLowerCase() });
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
+    
     if (!isPasswordValid) {
+      // Unknown emails were counted too, so responses don't reveal which accounts exist
+      if (accountAttempt.lockedOut && user) {
+        console.log(`🔒 Login locked for ${user.email} after ${accountAttempt.hits} failed attempts`);
+        
+        // Tell the owner - the login response is the same either way
+        try {
+          await sendEmail({
+            to: user.email,
+            subject: 'SM Furnishing - Sign-in temporarily locked',
+            text: `Hi ${user.name},\n\nWe noticed several failed sign-in attempts on your SM Furnishing account, so sign-in has been locked for 15 minutes.\n\nIf this wasn't you, we recommend resetting your password.`,
+            html: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333; text-align: center;">Sign-in Temporarily Locked</h2>
+                <p>Hi ${escapeHtml(user.name)},</p>
+                <p>We noticed several failed sign-in attempts on your SM Furnishing account, so sign-in has been locked for 15 minutes.</p>
+                <p style="color: #666; font-size: 12px;">If this wasn't you, we recommend resetting your password.</p>
+              </div>
+            `
+          });
+        } catch (emailError) {
+          console.error('Error sending lockout email:', emailError.message);
+        }
+      }
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
     
+    // Successful login clears the account's attempt count
+    await loginAccountLimiter.reset(accountKey);
+    
     // Remove password from user object
     const userWithoutPassword = {
       _id: user._id,
       name: user.name,
       email: user.email,
+      phone: user.phone || null,
+      role: user.role || 'customer',
+      emailVerified: user.emailVerified === true,
+      emailVerifiedAt: user.emailVerifiedAt || null,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        email: user.email,
-        name: user.name
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+    
+    // Carry over anything the visitor put in a guest cart
+    const cartMerge = await mergeGuestCartSafely(req, user._id);
     
     // Send success response
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token: token,
-      user: userWithoutPassword
+      refreshToken: refreshToken,
+      user: userWithoutPassword,
+      ...(cartMerge && { cartMerge })
     });
     
     console.log(`✅ User logged in: ${email}`);
@@ -753,10 +1613,150 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// POST /api/token/refresh - Exchange a refresh token for a new token pair
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    // Validation
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const storedToken = await refreshTokensCollection.findOne({ tokenHash: hashToken(refreshToken) });
+    
+    if (!storedToken || storedToken.expiresAt < new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        error: 'Authentication failed'
+      });
+    }
+    
+    // A rotated token being presented again means it was stolen - revoke the whole family
+    if (storedToken.revokedAt) {
+      await refreshTokensCollection.updateMany(
+        { familyId: storedToken.familyId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      console.log(`⚠️ Refresh token reuse detected for user ${storedToken.userId}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked. Please log in again.',
+        error: 'Token revoked'
+      });
+    }
+    
+    const user = await usersCollection.findOne({ _id: storedToken.userId });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists',
+        error: 'Authentication failed'
+      });
+    }
+    
+    // Rotate: revoke the presented token only if nobody else has rotated it meanwhile
+    const rotated = await refreshTokensCollection.updateOne(
+      { _id: storedToken._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    
+    if (rotated.modifiedCount === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked. Please log in again.',
+        error: 'Token revoked'
+      });
+    }
+    
+    const tokens = await issueAuthTokens(user, req, storedToken.familyId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+    
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/logout - Revoke the current access token and refresh token
+app.post('/api/logout', authenticateToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const userId = new ObjectId(req.user.userId);
+    
+    // Block the access token until it would have expired anyway
+    if (req.user.jti) {
+      await revokedTokensCollection.updateOne(
+        { jti: req.user.jti },
+        { $setOnInsert: { jti: req.user.jti, userId: userId, expiresAt: new Date(req.user.exp * 1000), revokedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+    
+    if (refreshToken) {
+      await refreshTokensCollection.updateOne(
+        { tokenHash: hashToken(refreshToken), userId: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    
+    console.log(`👋 User logged out: ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/logout-all - Log out from all devices
+app.post('/api/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllUserSessions(new ObjectId(req.user.userId));
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices successfully'
+    });
+    
+    console.log(`👋 User logged out from all devices: ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error during logout from all devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout from all devices',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/send-otp - Send OTP to email
-app.post('/api/send-otp', async (req, res) => {
+app.post('/api/send-otp', otpRequestLimiter.middleware(req => `otp:ip:${req.ip}`), async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, purpose = 'signup' } = req.body;
     
     // Validation
     if (!email) {
@@ -775,33 +1775,30 @@ app.post('/api/send-otp', async (req, res) => {
       });
     }
     
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Delete any existing OTPs for this email
-    await otpCollection.deleteMany({ email: email.toLowerCase() });
-    
-    // Store OTP in database
-    const otpRecord = {
-      email: email.toLowerCase(),
-      otp: otp,
-      createdAt: new Date(),
-      verified: false
-    };
+    // Password reset and email change codes have their own endpoints
+    if (!OTP_PURPOSES.includes(purpose) || RESTRICTED_OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP purpose'
+      });
+    }
     
-    await otpCollection.insertOne(otpRecord);
+    const issued = await issueOtp(email.toLowerCase(), purpose, req.ip);
+    if (!issued.success) {
+      return sendOtpError(res, issued);
+    }
     
     // Send OTP email
     const emailResult = await sendEmail({
       to: email,
       subject: 'SM Furnishing - Email Verification Code',
-      text: `Your verification code is: ${otp}\n\nThis code will expire in 10 minutes.\n\nIf you didn't request this code, please ignore this email.`,
+      text: `Your verification code is: ${issued.otp}\n\nThis code will expire in 10 minutes.\n\nIf you didn't request this code, please ignore this email.`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #333; text-align: center;">Email Verification</h2>
           <p>Your verification code is:</p>
           <div style="text-align: center; margin: 30px 0;">
-            <span style="font-size: 32px; font-weight: bold; background: #f0f0f0; padding: 15px 30px; border-radius: 5px; letter-spacing: 5px;">${otp}</span>
+            <span style="font-size: 32px; font-weight: bold; background: #f0f0f0; padding: 15px 30px; border-radius: 5px; letter-spacing: 5px;">${issued.otp}</span>
           </div>
           <p style="color: #666;">This code will expire in 10 minutes.</p>
           <p style="color: #666; font-size: 12px;">If you didn't request this code, please ignore this email.</p>
@@ -809,7 +1806,7 @@ app.post('/api/send-otp', async (req, res) => {
       `
     });
     
-    console.log(`📧 OTP sent to ${email}: ${otp}`);
+    console.log(`📧 OTP (${purpose}) sent to ${email}`);
     
     res.status(200).json({
       success: true,
@@ -830,7 +1827,7 @@ app.post('/api/send-otp', async (req, res) => {
 // POST /api/verify-otp - Verify OTP
 app.post('/api/verify-otp', async (req, res) => {
   try {
-    const { email, otp } = req.body;
+    const { email, otp, purpose = 'signup' } = req.body;
     
     // Validation
     if (!email || !otp) {
@@ -840,46 +1837,48 @@ app.post('/api/verify-otp', async (req, res) => {
       });
     }
     
-    // Find OTP record
-    const otpRecord = await otpCollection.findOne({
-      email: email.toLowerCase(),
-      otp: otp.toString(),
-      verified: false
-    });
-    
-    if (!otpRecord) {
+    // Password reset and email change codes have their own endpoints
+    if (!OTP_PURPOSES.includes(purpose) || RESTRICTED_OTP_PURPOSES.includes(purpose)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired OTP'
+        message: 'Invalid OTP purpose'
       });
     }
     
-    // Check if OTP is expired (10 minutes)
-    const now = new Date();
-    const otpAge = (now - otpRecord.createdAt) / 1000 / 60; // minutes
-    
-    if (otpAge > 10) {
-      // Clean up expired OTP
-      await otpCollection.deleteOne({ _id: otpRecord._id });
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired. Please request a new one.'
-      });
+    const verification = await verifyOtp(email.toLowerCase(), purpose, otp);
+    if (!verification.success) {
+      return sendOtpError(res, verification);
     }
     
     // Mark OTP as verified
+    const verifiedAt = new Date();
     await otpCollection.updateOne(
-      { _id: otpRecord._id },
-      { $set: { verified: true, verifiedAt: new Date() } }
+      { _id: verification.record._id },
+      { $set: { verified: true, verifiedAt: verifiedAt } }
     );
     
-    console.log(`✅ OTP verified for ${email}`);
+    // Verify the matching account, if one already exists (otherwise /api/signup picks up the verified OTP)
+    let accountVerified = false;
+    if (purpose === 'signup') {
+      const userUpdate = await usersCollection.updateOne(
+        { email: email.toLowerCase() },
+        { $set: { emailVerified: true, emailVerifiedAt: verifiedAt, updatedAt: verifiedAt } }
+      );
+      accountVerified = userUpdate.matchedCount > 0;
+      
+      if (accountVerified) {
+        await otpCollection.deleteOne({ _id: verification.record._id });
+      }
+    }
+    
+    console.log(`✅ OTP (${purpose}) verified for ${email}`);
     
     res.status(200).json({
       success: true,
       message: 'Email verified successfully',
       email: email,
-      verifiedAt: new Date()
+      verifiedAt: verifiedAt,
+      accountVerified: accountVerified
     });
     
   } catch (error) {
@@ -892,611 +1891,5750 @@ app.post('/api/verify-otp', async (req, res) => {
   }
 });
 
-// GET /api/products - Fetch all products
-app.get('/api/products', async (req, res) => {
+// POST /api/password/forgot - Email a password reset code
+app.post('/api/password/forgot', otpRequestLimiter.middleware(req => `otp:ip:${req.ip}`), async (req, res) => {
   try {
-    // Fetch all products from the collection
-    const products = await productsCollection.find({}).toArray();
+    const { email } = req.body;
     
-    // Send successful response
-    res.status(200).json({
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    // Validate email format
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = {
       success: true,
-      count: products.length,
-      data: products
+      message: 'If an account exists for this email, a password reset code has been sent'
+    };
+    
+    const user = await usersCollection.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    // Cooldown and quota refusals are only logged - a 429 here would confirm the account exists
+    const issued = await issueOtp(user.email, 'password_reset', req.ip);
+    if (!issued.success) {
+      console.log(`⏳ Password reset code not sent to ${user.email}: ${issued.message}`);
+      return res.status(200).json(genericResponse);
+    }
+    
+    // Send reset code email
+    await sendEmail({
+      to: user.email,
+      subject: 'SM Furnishing - Password Reset Code',
+      text: `Your password reset code is: ${issued.otp}\n\nThis code will expire in 10 minutes.\n\nIf you didn't request a password reset, please ignore this email. Your password will not change.`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333; text-align: center;">Password Reset</h2>
+          <p>Your password reset code is:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <span style="font-size: 32px; font-weight: bold; background: #f0f0f0; padding: 15px 30px; border-radius: 5px; letter-spacing: 5px;">${issued.otp}</span>
+          </div>
+          <p style="color: #666;">This code will expire in 10 minutes.</p>
+          <p style="color: #666; font-size: 12px;">If you didn't request a password reset, please ignore this email. Your password will not change.</p>
+        </div>
+      `
     });
     
+    console.log(`📧 Password reset code sent to ${user.email}`);
+    
+    res.status(200).json(genericResponse);
+    
   } catch (error) {
-    console.error('Error fetching products:', error);
+    console.error('Error sending password reset code:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching products',
+      message: 'Error sending password reset code',
       error: error.message
     });
   }
 });
 
-// POST /api/products - Add a new product
-app.post('/api/products', async (req, res) => {
+// POST /api/password/reset - Set a new password using a reset code
+app.post('/api/password/reset', async (req, res) => {
   try {
-    const { categoryId, name, description, price, stock, status, imageUrl } = req.body;
+    const { email, otp, newPassword } = req.body;
     
     // Validation
-    if (!name || !description || !price) {
+    if (!email || !otp || !newPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Name, description, and price are required fields'
+        message: 'Email, OTP, and new password are required'
       });
     }
     
-    // Validate price is a positive number
-    if (typeof price !== 'number' || price <= 0) {
+    // Validate password length
+    if (newPassword.length < 6) {
       return res.status(400).json({
         success: false,
-        message: 'Price must be a positive number'
+        message: 'Password must be at least 6 characters long'
       });
     }
     
-    // Validate stock if provided
-    if (stock !== undefined && (typeof stock !== 'number' || stock < 0)) {
+    const verification = await verifyOtp(email.toLowerCase(), 'password_reset', otp);
+    if (!verification.success) {
+      return sendOtpError(res, verification);
+    }
+    const otpRecord = verification.record;
+    
+    const user = await usersCollection.findOne({ email: otpRecord.email });
+    if (!user) {
+      await otpCollection.deleteOne({ _id: otpRecord._id });
       return res.status(400).json({
         success: false,
-        message: 'Stock must be a non-negative number'
+        message: 'Invalid or expired OTP'
       });
     }
     
-    // If categoryId is provided, validate it exists (optional)
-    if (categoryId) {
-      try {
-        const categoryExists = await categoriesCollection.findOne({ 
-          _id: new ObjectId(categoryId) 
-        });
-        
-        if (!categoryExists) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid category ID'
-          });
-        }
-      } catch (error) {
-        // If categoryId is not a valid ObjectId format
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category ID format'
-        });
-      }
+    // Consume the code so it can only be used once
+    const consumed = await otpCollection.deleteOne({ _id: otpRecord._id });
+    if (consumed.deletedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
     }
     
-    // Create new product object
-    const newProduct = {
-      categoryId: categoryId || null,
-      name: name.trim(),
-      description: description.trim(),
-      price: Number(price),
-      stock: stock !== undefined ? Number(stock) : 0,
-      status: status || "Active",
-      imageUrl: imageUrl || "",
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    // Encrypt new password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
     
-    // Insert the product into database
-    const result = await productsCollection.insertOne(newProduct);
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date(), updatedAt: new Date() } }
+    );
     
-    // Get the inserted product
-    const insertedProduct = await productsCollection.findOne({ 
-      _id: result.insertedId 
-    });
+    // Log the user out everywhere - whoever had the old password loses access
+    await revokeAllUserSessions(user._id);
     
-    // Send success response
-    res.status(201).json({
+    // Confirmation email - the reset already succeeded, so don't fail the request if it bounces
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'SM Furnishing - Your password has been changed',
+        text: `Hi ${user.name},\n\nThe password for your SM Furnishing account was just reset and you have been logged out of all devices.\n\nIf you didn't do this, please contact us immediately.`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333; text-align: center;">Password Changed</h2>
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>The password for your SM Furnishing account was just reset and you have been logged out of all devices.</p>
+            <p style="color: #666; font-size: 12px;">If you didn't do this, please contact us immediately.</p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error('Error sending password change confirmation:', emailError.message);
+    }
+    
+    res.status(200).json({
       success: true,
-      message: 'Product created successfully',
-      data: insertedProduct
+      message: 'Password reset successfully. Please log in with your new password.'
     });
     
-    console.log(`✅ New product added: ${name}`);
+    console.log(`🔑 Password reset for ${user.email}`);
     
   } catch (error) {
-    console.error('Error creating product:', error);
+    console.error('Error resetting password:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating product',
+      message: 'Error resetting password',
       error: error.message
     });
   }
 });
 
-// GET /api/products/:id - Get single product by ID
-app.get('/api/products/:id', async (req, res) => {
+// PUT /api/users/:id/role - Change a user's role (admin only)
+app.put('/api/users/:id/role', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { role } = req.body;
     
     // Validate ID format
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID format'
+        message: 'Invalid user ID format'
       });
     }
     
-    const product = await productsCollection.findOne({ 
-      _id: new ObjectId(id) 
-    });
-    
-    if (!product) {
-      return res.status(404).json({
+    // Validate role
+    if (!role || !USER_ROLES.includes(role)) {
+      return res.status(400).json({
         success: false,
-        message: 'Product not found'
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
       });
     }
     
-    res.status(200).json({
-      success: true,
-      data: product
-    });
-    
-  } catch (error) {
-    console.error('Error fetching product:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching product',
-      error: error.message
-    });
-  }
-});
-
-// DELETE /api/products/:id - Delete a product
-app.delete('/api/products/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Validate ID format
-    if (!ObjectId.isValid(id)) {
+    // Prevent admins from locking themselves out
+    if (id === req.user.userId.toString() && role !== 'admin') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID format'
+        message: 'You cannot remove your own admin role'
       });
     }
     
-    const result = await productsCollection.deleteOne({ 
-      _id: new ObjectId(id) 
-    });
+    const updatedAt = new Date();
+    const previous = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { role: role, updatedAt: updatedAt } },
+      { returnDocument: 'before', projection: { password: 0 } }
+    );
     
-    if (result.deletedCount === 0) {
+    if (!previous) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'User not found'
       });
     }
     
+    // Tokens carry the role claim - log the user out so the old role stops working now
+    if ((previous.role || 'customer') !== role) {
+      await revokeAllUserSessions(previous._id);
+    }
+    
+    const result = { ...previous, role: role, updatedAt: updatedAt };
+    
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'User role updated successfully',
+      user: result
     });
     
-    console.log(`🗑️ Product deleted: ${id}`);
+    console.log(`🔑 Role changed to ${role} for user ${result.email} by ${req.user.email}`);
     
   } catch (error) {
-    console.error('Error deleting product:', error);
+    console.error('Error updating user role:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting product',
+      message: 'Error updating user role',
       error: error.message
     });
   }
 });
 
-// GET /api/latestproducts - Fetch all latest products
-app.get('/api/latestproducts', async (req, res) => {
+// The first admin: while no admin exists, the verified account with this email is promoted at startup
+const BOOTSTRAP_ADMIN_EMAIL = config.bootstrapAdminEmail;
+
+async function bootstrapAdmin() {
+  if (!BOOTSTRAP_ADMIN_EMAIL || await usersCollection.findOne({ role: 'admin' }, { projection: { _id: 1 } })) {
+    return;
+  }
+  
+  const email = BOOTSTRAP_ADMIN_EMAIL.toLowerCase();
+  const user = await usersCollection.findOneAndUpdate(
+    { email, emailVerified: true },
+    { $set: { role: 'admin', updatedAt: new Date() } },
+    { projection: { email: 1 } }
+  );
+  
+  if (user) {
+    console.log(`🔑 ${email} promoted to admin (BOOTSTRAP_ADMIN_EMAIL) - log in again to get an admin token`);
+  } else {
+    console.log(`⚠️ BOOTSTRAP_ADMIN_EMAIL: no verified account for ${email} yet - sign up, verify the email and restart`);
+  }
+}
+
+// ===========================================
+// USER PROFILE API ENDPOINTS
+// ===========================================
+
+// Fields never returned to clients from the users collection
+const USER_PRIVATE_FIELDS = { password: 0, tokensValidAfter: 0 };
+
+// GET /api/me - Get the current user's profile
+app.get('/api/me', authenticateToken, async (req, res) => {
   try {
-    // Fetch all latest products from the collection
-    const latestproducts = await latestproductsCollection.find({}).toArray();
+    const user = await usersCollection.findOne(
+      { _id: new ObjectId(req.user.userId) },
+      { projection: USER_PRIVATE_FIELDS }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
     
-    // Send successful response
     res.status(200).json({
       success: true,
-      count: latestproducts.length,
-      data: latestproducts
+      user: user
     });
     
   } catch (error) {
-    console.error('Error fetching latest products:', error);
+    console.error('Error fetching profile:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching latest products',
+      message: 'Error fetching profile',
       error: error.message
     });
   }
 });
 
-// GET /api/latestproducts/:id - Get single latest product by ID
-app.get('/api/latestproducts/:id', async (req, res) => {
+// PATCH /api/me - Update name and phone
+app.patch('/api/me', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { name, phone, email } = req.body;
     
-    // Validate ID format
-    if (!ObjectId.isValid(id)) {
+    // Email changes go through OTP re-verification
+    if (email !== undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid latest product ID format'
+        message: 'Email cannot be changed here. Use POST /api/me/email to change your email address.'
       });
     }
     
-    const latestproduct = await latestproductsCollection.findOne({ 
-      _id: new ObjectId(id) 
-    });
+    if (name === undefined && phone === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: name, phone'
+      });
+    }
     
-    if (!latestproduct) {
+    const updates = { updatedAt: new Date() };
+    
+    // Validate name
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name cannot be empty'
+        });
+      }
+      updates.name = name.trim();
+    }
+    
+    // Validate phone number format (empty string clears it)
+    if (phone !== undefined) {
+      const phoneRegex = /^\+[1-9]\d{0,3}[-.\s]?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}$/;
+      if (phone !== '' && (typeof phone !== 'string' || !phoneRegex.test(phone.trim()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enter a valid international phone number with country code (e.g., +91-9876543210)'
+        });
+      }
+      updates.phone = phone ? phone.trim() : null;
+    }
+    
+    const user = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.user.userId) },
+      { $set: updates },
+      { returnDocument: 'after', projection: USER_PRIVATE_FIELDS }
+    );
+    
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Latest product not found'
+        message: 'User not found'
       });
     }
     
     res.status(200).json({
       success: true,
-      data: latestproduct
-    });
-    
-  } catch (error) {
-    console.error('Error fetching latest product:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching latest product',
-      error: error.message
+      message: 'Profile updated successfully',
+      user: user
     });
-  }
-});
-
-// GET /api/categories - Get all categories
-app.get('/api/categories', async (req, res) => {
-  try {
-    const categories = await categoriesCollection.find({}).toArray();
     
-    res.status(200).json({
-      success: true,
-      count: categories.length,
-      data: categories
-    });
+    console.log(`✅ Profile updated: ${user.email}`);
     
   } catch (error) {
-    console.error('Error fetching categories:', error);
+    console.error('Error updating profile:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching categories',
+      message: 'Error updating profile',
       error: error.message
     });
   }
 });
 
-// POST /api/categories - Add a new category
-app.post('/api/categories', async (req, res) => {
+// POST /api/me/email - Start an email change by sending a code to the new address
+app.post('/api/me/email', authenticateToken, async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { email } = req.body;
     
     // Validation
-    if (!name) {
+    if (!email) {
       return res.status(400).json({
         success: false,
-        message: 'Name is required field'
+        message: 'Email is required'
       });
     }
     
-    // Check if category name already exists
-    const existingCategory = await categoriesCollection.findOne({ 
-      name: { $regex: new RegExp(`^${name.trim()}$`, 'i') }
-    });
+    // Validate email format
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
     
-    if (existingCategory) {
+    const newEmail = email.toLowerCase().trim();
+    const userId = new ObjectId(req.user.userId);
+    
+    // Check if email is already in use
+    const existingUser = await usersCollection.findOne({ email: newEmail });
+    if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'Category with this name already exists'
+        message: existingUser._id.equals(userId)
+          ? 'This is already your email address'
+          : 'User with this email already exists'
       });
     }
     
-    // Create new category object
-    const newCategory = {
-      name: name.trim(),
-      description: description ? description.trim() : "",
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const issued = await issueOtp(newEmail, 'email_change', req.ip);
+    if (!issued.success) {
+      return sendOtpError(res, issued);
+    }
     
-    // Insert the category into database
-    const result = await categoriesCollection.insertOne(newCategory);
+    await usersCollection.updateOne(
+      { _id: userId },
+      { $set: { pendingEmail: newEmail, updatedAt: new Date() } }
+    );
     
-    // Get the inserted category
-    const insertedCategory = await categoriesCollection.findOne({ 
-      _id: result.insertedId 
+    // Send OTP email to the new address
+    await sendEmail({
+      to: newEmail,
+      subject: 'SM Furnishing - Confirm Your New Email',
+      text: `Your verification code is: ${issued.otp}\n\nEnter it to confirm this as the new email address for your SM Furnishing account. This code will expire in 10 minutes.\n\nIf you didn't request this change, please ignore this email.`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333; text-align: center;">Confirm Your New Email</h2>
+          <p>Enter this code to confirm this as the new email address for your SM Furnishing account:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <span style="font-size: 32px; font-weight: bold; background: #f0f0f0; padding: 15px 30px; border-radius: 5px; letter-spacing: 5px;">${issued.otp}</span>
+          </div>
+          <p style="color: #666;">This code will expire in 10 minutes.</p>
+          <p style="color: #666; font-size: 12px;">If you didn't request this change, please ignore this email.</p>
+        </div>
+      `
     });
     
-    // Send success response
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Category created successfully',
-      data: insertedCategory
+      message: 'Verification code sent to your new email address',
+      pendingEmail: newEmail
     });
     
-    console.log(`✅ New category added: ${name}`);
+    console.log(`📧 Email change code sent for ${req.user.email} -> ${newEmail}`);
     
   } catch (error) {
-    console.error('Error creating category:', error);
+    console.error('Error starting email change:', error);
     res.status(500).json({
       success: false,
-      message: 'Error creating category',
+      message: 'Error starting email change',
       error: error.message
     });
   }
 });
 
-// GET /api/categories/:id - Get single category by ID
-app.get('/api/categories/:id', async (req, res) => {
+// POST /api/me/email/verify - Confirm the pending email change with the OTP
+app.post('/api/me/email/verify', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { otp } = req.body;
     
-    // Validate ID format
-    if (!ObjectId.isValid(id)) {
+    // Validation
+    if (!otp) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid category ID format'
+        message: 'OTP is required'
       });
     }
     
-    const category = await categoriesCollection.findOne({ 
-      _id: new ObjectId(id) 
-    });
+    const userId = new ObjectId(req.user.userId);
+    const user = await usersCollection.findOne({ _id: userId });
     
-    if (!category) {
-      return res.status(404).json({
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
         success: false,
-        message: 'Category not found'
+        message: 'No email change in progress'
+      });
+    }
+    
+    const verification = await verifyOtp(user.pendingEmail, 'email_change', otp);
+    if (!verification.success) {
+      return sendOtpError(res, verification);
+    }
+    
+    await otpCollection.deleteOne({ _id: verification.record._id });
+    
+    // The unique email index rejects the update if someone took the address meanwhile
+    const verifiedAt = new Date();
+    const updatedUser = await usersCollection.findOneAndUpdate(
+      { _id: userId },
+      {
+        $set: { email: user.pendingEmail, emailVerified: true, emailVerifiedAt: verifiedAt, updatedAt: verifiedAt },
+        $unset: { pendingEmail: '' }
+      },
+      { returnDocument: 'after', projection: USER_PRIVATE_FIELDS }
+    );
+    
+    // Let the old address know, in case the change wasn't wanted
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'SM Furnishing - Your email address has been changed',
+        text: `Hi ${user.name},\n\nThe email address for your SM Furnishing account was changed to ${updatedUser.email}.\n\nIf you didn't do this, please contact us immediately.`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333; text-align: center;">Email Address Changed</h2>
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>The email address for your SM Furnishing account was changed to <strong>${escapeHtml(updatedUser.email)}</strong>.</p>
+            <p style="color: #666; font-size: 12px;">If you didn't do this, please contact us immediately.</p>
+          </div>
+        `
       });
+    } catch (emailError) {
+      console.error('Error sending email change notice:', emailError.message);
     }
     
+    // Tokens carry the email - log out every device, then keep this one signed in with fresh tokens
+    await revokeAllUserSessions(userId);
+    const { token, refreshToken } = await issueAuthTokens(updatedUser, req);
+    
     res.status(200).json({
       success: true,
-      data: category
+      message: 'Email address updated successfully',
+      user: updatedUser,
+      token: token,
+      refreshToken: refreshToken
     });
     
+    console.log(`✅ Email changed: ${user.email} -> ${updatedUser.email}`);
+    
   } catch (error) {
-    console.error('Error fetching category:', error);
+    console.error('Error verifying email change:', error);
+    
+    // Handle duplicate email error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error fetching category',
+      message: 'Error verifying email change',
       error: error.message
     });
   }
 });
 
-// DELETE /api/categories/:id - Delete a category
-app.delete('/api/categories/:id', async (req, res) => {
+// POST /api/me/password - Change password after checking the current one
+app.post('/api/me/password', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { currentPassword, newPassword } = req.body;
     
-    // Validate ID format
-    if (!ObjectId.isValid(id)) {
+    // Validation
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid category ID format'
+        message: 'Current password and new password are required'
       });
     }
     
-    // Check if there are products using this category
-    const productsWithCategory = await productsCollection.countDocuments({ 
-      categoryId: id 
-    });
-    
-    if (productsWithCategory > 0) {
+    // Validate password length
+    if (newPassword.length < 6) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category. ${productsWithCategory} product(s) are using this category`
+        message: 'Password must be at least 6 characters long'
       });
     }
     
-    const result = await categoriesCollection.deleteOne({ 
-      _id: new ObjectId(id) 
-    });
-    
-    if (result.deletedCount === 0) {
+    const user = await usersCollection.findOne({ _id: new ObjectId(req.user.userId) });
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Category not found'
+        message: 'User not found'
+      });
+    }
+    
+    // Verify current password
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
       });
     }
     
+    // Encrypt new password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date(), updatedAt: new Date() } }
+    );
+    
+    // Log out every other device, then keep this one signed in with fresh tokens
+    await revokeAllUserSessions(user._id);
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+    
     res.status(200).json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Password changed successfully',
+      token: token,
+      refreshToken: refreshToken
     });
     
-    console.log(`🗑️ Category deleted: ${id}`);
+    console.log(`🔑 Password changed for ${user.email}`);
     
   } catch (error) {
-    console.error('Error deleting category:', error);
+    console.error('Error changing password:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting category',
+      message: 'Error changing password',
       error: error.message
     });
   }
 });
 
-// POST /api/form-data - Store form submission
-app.post('/api/form-data', async (req, res) => {
+// DELETE /api/me - Close the current user's account
+app.delete('/api/me', authenticateToken, async (req, res) => {
   try {
-    const { name, email, phoneNumber, orderDescription } = req.body;
+    const { password } = req.body;
     
     // Validation
-    if (!name || !email || !phoneNumber || !orderDescription) {
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required to close your account'
+      });
+    }
+    
+    const userId = new ObjectId(req.user.userId);
+    const user = await usersCollection.findOne({ _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Verify password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    // Orders are kept for accounting; everything else tied to the account goes
+    await usersCollection.deleteOne({ _id: userId });
+    await cartCollection.deleteMany({ userId: userId });
+    await wishlistsCollection.deleteMany({ userId: userId });
+    await refreshTokensCollection.deleteMany({ userId: userId });
+    await otpCollection.deleteMany({ email: { $in: [user.email, user.pendingEmail].filter(Boolean) } });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account closed successfully'
+    });
+    
+    console.log(`🗑️ Account closed: ${user.email}`);
+    
+  } catch (error) {
+    console.error('Error closing account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing account',
+      error: error.message
+    });
+  }
+});
+
+// Build a saved address from request fields (call validateAddress first)
+const buildAddress = (body, existing = {}) => ({
+  _id: existing._id || new ObjectId(),
+  label: body.label ? String(body.label).trim() : (existing.label || null),
+  name: body.name.trim(),
+  phone: body.phone.trim(),
+  address: body.address.trim(),
+  city: body.city.trim(),
+  state: body.state.trim(),
+  pin_code: body.pin_code.replace(/\s/g, ''),
+  country: body.country.trim(),
+  isDefaultShipping: existing.isDefaultShipping === true,
+  isDefaultBilling: existing.isDefaultBilling === true,
+  createdAt: existing.createdAt || new Date(),
+  updatedAt: new Date()
+});
+
+// Apply default flags from the request to one address and clear them on the others.
+// The first saved address becomes the default for both shipping and billing.
+const applyDefaultAddressFlags = (addresses, target, body) => {
+  if (body.isDefaultShipping === true || !addresses.some(address => address.isDefaultShipping)) {
+    addresses.forEach(address => { address.isDefaultShipping = false; });
+    target.isDefaultShipping = true;
+  } else if (body.isDefaultShipping === false) {
+    target.isDefaultShipping = false;
+  }
+  
+  if (body.isDefaultBilling === true || !addresses.some(address => address.isDefaultBilling)) {
+    addresses.forEach(address => { address.isDefaultBilling = false; });
+    target.isDefaultBilling = true;
+  } else if (body.isDefaultBilling === false) {
+    target.isDefaultBilling = false;
+  }
+};
+
+// GET /api/me/addresses - List saved addresses
+app.get('/api/me/addresses', authenticateToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne(
+      { _id: new ObjectId(req.user.userId) },
+      { projection: { addresses: 1 } }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const addresses = user.addresses || [];
+    
+    res.status(200).json({
+      success: true,
+      count: addresses.length,
+      data: addresses
+    });
+    
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching addresses',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/me/addresses - Save a new address
+app.post('/api/me/addresses', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateAddress(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const userId = new ObjectId(req.user.userId);
+    const user = await usersCollection.findOne({ _id: userId }, { projection: { addresses: 1 } });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const addresses = user.addresses || [];
+    
+    if (addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_SAVED_ADDRESSES} addresses`
+      });
+    }
+    
+    const newAddress = buildAddress(req.body);
+    applyDefaultAddressFlags(addresses, newAddress, req.body);
+    addresses.push(newAddress);
+    
+    await usersCollection.updateOne(
+      { _id: userId },
+      { $set: { addresses: addresses, updatedAt: new Date() } }
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      data: newAddress
+    });
+    
+  } catch (error) {
+    console.error('Error saving address:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving address',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/me/addresses/:addressId - Update a saved address
+app.put('/api/me/addresses/:addressId', authenticateToken, async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID format'
+      });
+    }
+    
+    const validationError = validateAddress(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const userId = new ObjectId(req.user.userId);
+    const user = await usersCollection.findOne({ _id: userId }, { projection: { addresses: 1 } });
+    const addresses = (user && user.addresses) || [];
+    const addressIndex = addresses.findIndex(address => address._id.toString() === addressId);
+    
+    if (addressIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    const updatedAddress = buildAddress(req.body, addresses[addressIndex]);
+    addresses.splice(addressIndex, 1);
+    applyDefaultAddressFlags(addresses, updatedAddress, req.body);
+    addresses.splice(addressIndex, 0, updatedAddress);
+    
+    await usersCollection.updateOne(
+      { _id: userId },
+      { $set: { addresses: addresses, updatedAt: new Date() } }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      data: updatedAddress
+    });
+    
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating address',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/me/addresses/:addressId - Delete a saved address
+app.delete('/api/me/addresses/:addressId', authenticateToken, async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address ID format'
+      });
+    }
+    
+    const userId = new ObjectId(req.user.userId);
+    const user = await usersCollection.findOne({ _id: userId }, { projection: { addresses: 1 } });
+    const addresses = (user && user.addresses) || [];
+    const addressIndex = addresses.findIndex(address => address._id.toString() === addressId);
+    
+    if (addressIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+    
+    const [removedAddress] = addresses.splice(addressIndex, 1);
+    
+    // Hand the default flags over to the first remaining address
+    if (addresses.length > 0) {
+      if (removedAddress.isDefaultShipping) {
+        addresses[0].isDefaultShipping = true;
+      }
+      if (removedAddress.isDefaultBilling) {
+        addresses[0].isDefaultBilling = true;
+      }
+    }
+    
+    await usersCollection.updateOne(
+      { _id: userId },
+      { $set: { addresses: addresses, updatedAt: new Date() } }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting address',
+      error: error.message
+    });
+  }
+});
+
+// Fields GET /api/products can sort on. Prefix with "-" for descending, e.g. sort=-price
+const PRODUCT_SORT_FIELDS = ['createdAt', 'updatedAt', 'price', 'name', 'stock'];
+const MAX_PRODUCTS_PER_PAGE = 100;
+
+// GET /api/products - Fetch products with optional filters, sorting and pagination
+// Query: categoryId (includeDescendants=true for subcategories too), minPrice, maxPrice, inStock=true,
+// newArrival=true, featured=true, bestseller=true, sort, page, limit (staff/admin: status, archived=true).
+// minPrice, maxPrice and sort=price use effectivePrice, so products on sale are filtered and sorted at their sale price.
+app.get('/api/products', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { categoryId, includeDescendants, status, minPrice, maxPrice, inStock, archived, sort = '-createdAt', page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    
+    // Validation - repeated or bracketed params (?sort=a&sort=b, ?status[$ne]=x) arrive as arrays and objects
+    if ((status !== undefined && typeof status !== 'string') || typeof sort !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'status and sort must be single values'
+      });
+    }
+    
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'page must be a positive integer'
+      });
+    }
+    
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PRODUCTS_PER_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be an integer between 1 and ${MAX_PRODUCTS_PER_PAGE}`
+      });
+    }
+    
+    // Build filter query - staff can list the archived products instead of the live ones
+    const filter = archived === 'true' && isStaffRequest(req) ? { deletedAt: { $ne: null } } : { ...NOT_ARCHIVED };
+    
+    if (categoryId) {
+      if (!ObjectId.isValid(categoryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID format'
+        });
+      }
+      filter.categoryId = categoryId;
+      
+      // Products of the category and every category below it
+      if (includeDescendants === 'true') {
+        const descendantIds = await getDescendantCategoryIds(new ObjectId(categoryId));
+        filter.categoryId = { $in: [categoryId, ...descendantIds.map(descendantId => descendantId.toString())] };
+      }
+    }
+    
+    // Customers only see active products, as in search; status filters are for staff
+    if (!isStaffRequest(req)) {
+      filter.status = ACTIVE_PRODUCT_FILTER.status;
+    } else if (status) {
+      filter.status = status;
+    }
+    
+    // Price filters apply to the price products sell at right now (effectivePrice), sales included
+    const priceFilter = {};
+    for (const [param, value, operator] of [['minPrice', minPrice, '$gte'], ['maxPrice', maxPrice, '$lte']]) {
+      if (value === undefined) continue;
+      const amount = Number(value);
+      if (value === '' || isNaN(amount) || amount < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${param} must be a non-negative number`
+        });
+      }
+      priceFilter[operator] = amount;
+    }
+    
+    if (inStock === 'true') {
+      filter.stock = { $gt: 0 };
+    }
+    
+    // newArrival=true, featured=true, bestseller=true
+    MERCHANDISING_FLAGS.forEach(flag => {
+      if (req.query[flag] === 'true') {
+        filter[flag] = true;
+      }
+    });
+    
+    const sortField = sort.startsWith('-') ? sort.slice(1) : sort;
+    if (!PRODUCT_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${PRODUCT_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+    // _id as a tie-breaker keeps page boundaries stable when sort values repeat.
+    // sort=price orders by effectivePrice, like the price filters.
+    const sortSpec = { [sortField === 'price' ? 'effectivePrice' : sortField]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+    
+    let totalProducts;
+    let products;
+    
+    if (Object.keys(priceFilter).length > 0 || sortField === 'price') {
+      // Sale prices aren't stored, so work effectivePrice out in the database to filter and sort on it
+      const pipeline = [
+        { $match: filter },
+        { $addFields: { effectivePrice: effectivePriceExpression(await getActivePriceRules()) } },
+        ...(Object.keys(priceFilter).length > 0 ? [{ $match: { effectivePrice: priceFilter } }] : [])
+      ];
+      
+      const [counted] = await productsCollection.aggregate([...pipeline, { $count: 'total' }]).toArray();
+      totalProducts = counted ? counted.total : 0;
+      
+      products = await productsCollection.aggregate([
+        ...pipeline,
+        { $sort: sortSpec },
+        { $skip: (pageNumber - 1) * pageSize },
+        { $limit: pageSize }
+      ]).toArray();
+    } else {
+      // Get total count for pagination
+      totalProducts = await productsCollection.countDocuments(filter);
+      
+      // Fetch products with pagination
+      products = await productsCollection.find(filter)
+        .sort(sortSpec)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray();
+    }
+    
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalProducts / pageSize);
+    
+    // Send successful response
+    res.status(200).json({
+      success: true,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_products: totalProducts,
+        products_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: products.length,
+      data: await withEffectivePrices(products)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products',
+      error: error.message
+    });
+  }
+});
+
+// Product fields that can be set through the API
+const PRODUCT_FIELDS = ['categoryId', 'sku', 'name', 'description', 'price', 'compareAtPrice', 'stock', 'reorderThreshold', 'status', 'imageUrl', 'newArrival', 'featured', 'bestseller'];
+
+// Merchandising flags: true/false switches shown as storefront badges and shelves
+const MERCHANDISING_FLAGS = ['newArrival', 'featured', 'bestseller'];
+
+// Name of a product's category, stored on the product so search can match it
+async function getCategoryName(categoryId) {
+  if (!categoryId) {
+    return "";
+  }
+  const category = await categoriesCollection.findOne({ _id: new ObjectId(categoryId) });
+  return category ? category.name : "";
+}
+
+// Validate product input for create/replace, or only the provided fields when partial.
+// productId is the product being updated, so its own SKU doesn't count as taken.
+// Returns an error message, or null if the input is valid.
+async function validateProductInput(data, { partial = false, productId = null } = {}) {
+  const { categoryId, sku, name, description, price, compareAtPrice, stock, reorderThreshold } = data;
+  
+  if (!partial && (!name || !description || !price)) {
+    return 'Name, description, and price are required fields';
+  }
+  
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  
+  if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+    return 'Description must be a non-empty string';
+  }
+  
+  // Validate price is a positive number
+  if (price !== undefined && (typeof price !== 'number' || price <= 0)) {
+    return 'Price must be a positive number';
+  }
+  
+  // compareAtPrice is the optional "was" price and must stay above the price; null clears it
+  if (compareAtPrice !== undefined && compareAtPrice !== null && (typeof compareAtPrice !== 'number' || compareAtPrice <= 0)) {
+    return 'Compare-at price must be a positive number';
+  }
+  
+  if (price !== undefined || compareAtPrice !== undefined) {
+    const current = partial && productId && (price === undefined || compareAtPrice === undefined)
+      ? await productsCollection.findOne({ _id: productId }, { projection: { price: 1, compareAtPrice: 1 } })
+      : null;
+    const newPrice = price !== undefined ? price : current && current.price;
+    const newCompareAtPrice = compareAtPrice !== undefined ? compareAtPrice : current && current.compareAtPrice;
+    if (newCompareAtPrice && newPrice && newCompareAtPrice <= newPrice) {
+      return 'Compare-at price must be higher than the price';
+    }
+  }
+  
+  // Validate stock if provided
+  if (stock !== undefined && (typeof stock !== 'number' || stock < 0)) {
+    return 'Stock must be a non-negative number';
+  }
+  
+  // null turns low-stock alerts off
+  if (reorderThreshold !== undefined && reorderThreshold !== null && (!Number.isInteger(reorderThreshold) || reorderThreshold < 0)) {
+    return 'Reorder threshold must be a non-negative integer, or null for no low-stock alerts';
+  }
+  
+  const invalidFlag = MERCHANDISING_FLAGS.find(flag => data[flag] !== undefined && typeof data[flag] !== 'boolean');
+  if (invalidFlag) {
+    return `${invalidFlag} must be true or false`;
+  }
+  
+  // SKU is optional; null or "" clears it. Products and variants share one SKU namespace.
+  if (sku !== undefined && sku !== null && sku !== "") {
+    if (typeof sku !== 'string' || !VARIANT_SKU_PATTERN.test(sku.trim().toUpperCase())) {
+      return 'SKU must be 1-64 letters, digits, dots, dashes or underscores';
+    }
+    if (await findProductBySku(sku.trim().toUpperCase(), null, productId)) {
+      return 'A product or variant with this SKU already exists';
+    }
+  }
+  
+  // If categoryId is provided, validate it exists (optional)
+  if (categoryId) {
+    if (!ObjectId.isValid(categoryId)) {
+      return 'Invalid category ID format';
+    }
+    
+    const categoryExists = await categoriesCollection.findOne({ 
+      _id: new ObjectId(categoryId),
+      ...NOT_ARCHIVED
+    });
+    
+    if (!categoryExists) {
+      return 'Invalid category ID';
+    }
+  }
+  
+  return null;
+}
+
+// Stored form of an optional SKU
+const normalizeSku = (sku) => sku ? sku.trim().toUpperCase() : null;
+
+// New product document from validated input
+async function buildNewProduct(data) {
+  const { categoryId, sku, name, description, price, compareAtPrice, stock, reorderThreshold, status, imageUrl } = data;
+  
+  return {
+    categoryId: categoryId || null,
+    categoryName: await getCategoryName(categoryId),
+    sku: normalizeSku(sku),
+    name: name.trim(),
+    slug: await generateUniqueSlug(productsCollection, name.trim()),
+    description: description.trim(),
+    price: Number(price),
+    compareAtPrice: compareAtPrice ? Number(compareAtPrice) : null,
+    stock: stock !== undefined ? Number(stock) : 0,
+    reorderThreshold: reorderThreshold !== undefined ? reorderThreshold : null,
+    status: status || "Active",
+    imageUrl: imageUrl || "",
+    newArrival: data.newArrival === true,
+    featured: data.featured === true,
+    bestseller: data.bestseller === true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+// Fields to $set on an existing product from validated input: every editable field,
+// or only the ones provided when partial. Handles stock on variant products and renames.
+async function buildProductUpdates(existingProduct, data, partial) {
+  const { categoryId, sku, name, description, price, compareAtPrice, stock, reorderThreshold, status, imageUrl } = data;
+  
+  let updates;
+  if (partial) {
+    updates = {};
+    if (categoryId !== undefined) {
+      updates.categoryId = categoryId || null;
+      updates.categoryName = await getCategoryName(categoryId);
+    }
+    if (sku !== undefined) updates.sku = normalizeSku(sku);
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description.trim();
+    if (price !== undefined) updates.price = Number(price);
+    if (compareAtPrice !== undefined) updates.compareAtPrice = compareAtPrice ? Number(compareAtPrice) : null;
+    if (stock !== undefined) updates.stock = Number(stock);
+    if (reorderThreshold !== undefined) updates.reorderThreshold = reorderThreshold;
+    if (status !== undefined) updates.status = status || "Active";
+    if (imageUrl !== undefined) updates.imageUrl = imageUrl || "";
+    MERCHANDISING_FLAGS.forEach(flag => {
+      if (data[flag] !== undefined) updates[flag] = data[flag];
+    });
+  } else {
+    updates = {
+      categoryId: categoryId || null,
+      categoryName: await getCategoryName(categoryId),
+      sku: normalizeSku(sku),
+      name: name.trim(),
+      description: description.trim(),
+      price: Number(price),
+      compareAtPrice: compareAtPrice ? Number(compareAtPrice) : null,
+      stock: stock !== undefined ? Number(stock) : 0,
+      reorderThreshold: reorderThreshold !== undefined ? reorderThreshold : null,
+      status: status || "Active",
+      imageUrl: imageUrl || "",
+      newArrival: data.newArrival === true,
+      featured: data.featured === true,
+      bestseller: data.bestseller === true
+    };
+  }
+  // A replace leaves stock alone on variant products, where it is the variants' total
+  if ((existingProduct.variants || []).length > 0) {
+    delete updates.stock;
+  }
+  if (updates.name && updates.name !== existingProduct.name) {
+    Object.assign(updates, await slugFieldsForRename(productsCollection, existingProduct, updates.name));
+  }
+  updates.updatedAt = new Date();
+  
+  return updates;
+}
+
+// POST /api/products - Add a new product
+app.post('/api/products', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    // Validation
+    const validationError = await validateProductInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    // Create new product object
+    const newProduct = await buildNewProduct(req.body);
+    
+    // Insert the product into database
+    const result = await productsCollection.insertOne(newProduct);
+    
+    // Get the inserted product
+    const insertedProduct = await productsCollection.findOne({ 
+      _id: result.insertedId 
+    });
+    
+    await recordStockMovements([
+      stockMovement(insertedProduct, null, insertedProduct.stock, { type: 'adjustment', reason: 'Initial stock', actor: requestActor(req) })
+    ]);
+    await recordPriceChanges(productPriceChanges(null, insertedProduct, { source: 'product', actor: requestActor(req) }));
+    
+    // Send success response
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: insertedProduct
+    });
+    
+    console.log(`✅ New product added: ${name}`);
+    
+  } catch (error) {
+    console.error('Error creating product:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product or variant with this SKU already exists'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating product',
+      error: error.message
+    });
+  }
+});
+
+// Bulk import/export: supplier spreadsheets come in as CSV or JSON and go through the same
+// validation as POST /api/products. Rows are matched to existing products by SKU, then by name.
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_FILE_MB = 5;
+
+// Columns read from an import file. Categories are given by name in "category".
+const IMPORT_COLUMNS = ['sku', 'name', 'description', 'price', 'compareAtPrice', 'stock', 'reorderThreshold', 'status', 'category', 'categoryId', 'imageUrl', ...MERCHANDISING_FLAGS];
+
+// Columns written by the export, in order. The export-only ones (id, slug, variants, dates)
+// are skipped when the file is imported again.
+const EXPORT_COLUMNS = ['id', 'sku', 'name', 'slug', 'description', 'price', 'compareAtPrice', 'stock', 'reorderThreshold', 'status', 'category', 'imageUrl', ...MERCHANDISING_FLAGS, 'variants', 'createdAt', 'updatedAt'];
+
+// Enough of an existing product to match, validate and update it
+const IMPORT_MATCH_PROJECTION = { sku: 1, name: 1, slug: 1, previousSlugs: 1, price: 1, compareAtPrice: 1, stock: 1, 'variants._id': 1 };
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+// Parse the "file" field, turning upload errors into 400 responses
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Import files must be at most ${MAX_IMPORT_FILE_MB} MB`
+        : 'Send one CSV or JSON file in the "file" field',
+      error: error.message
+    });
+  });
+};
+
+// Read the rows of an uploaded import file. Row numbers match the spreadsheet (the header is
+// row 1) or the position in the JSON array (from 1).
+// Returns { success: true, rows: [{ row, values }], ignoredColumns } or { success: false, message }
+function readImportFile(file) {
+  const text = file.buffer.toString('utf8');
+  
+  if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { success: false, message: `Invalid JSON: ${error.message}` };
+    }
+    
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+    if (!Array.isArray(items)) {
+      return { success: false, message: 'JSON imports must be an array of products, or { "products": [...] }' };
+    }
+    return { success: true, rows: items.map((values, index) => ({ row: index + 1, values })), ignoredColumns: [] };
+  }
+  
+  if (!/\.csv$/i.test(file.originalname) && file.mimetype !== 'text/csv') {
+    return { success: false, message: 'Import files must be .csv or .json' };
+  }
+  
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { success: false, message: `Invalid CSV: ${error.message}` };
+  }
+  
+  // Header names are matched case-insensitively
+  const [header = [], ...dataRecords] = records;
+  const columns = header.map(name =>
+    IMPORT_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()) || null
+  );
+  const ignoredColumns = header.filter((name, index) =>
+    !columns[index] && name.trim() && !EXPORT_COLUMNS.some(column => column.toLowerCase() === name.trim().toLowerCase())
+  );
+  
+  const rows = dataRecords
+    .map((record, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(columns.map((column, i) => [column, record[i]]).filter(([column]) => column))
+    }))
+    .filter(({ values }) => Object.values(values).some(value => value && value.trim()));
+  
+  return { success: true, rows, ignoredColumns };
+}
+
+// Product input from an import row. Blank cells mean "leave as is". CSV cells are text, so
+// numbers and true/false are converted here; anything that doesn't convert is passed on
+// unchanged for validateProductInput to reject.
+function importRowToProductInput(values) {
+  const data = {};
+  
+  for (const column of IMPORT_COLUMNS) {
+    let value = values[column];
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+      continue;
+    }
+    
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (['price', 'compareAtPrice', 'stock', 'reorderThreshold'].includes(column) && !isNaN(value)) {
+        value = Number(value);
+      } else if (MERCHANDISING_FLAGS.includes(column) && /^(true|false|yes|no|1|0)$/i.test(value)) {
+        value = ['true', 'yes', '1'].includes(value.toLowerCase());
+      }
+    }
+    data[column] = value;
+  }
+  
+  return data;
+}
+
+// Find the product an import row refers to: by SKU, otherwise by exact name (ignoring case).
+// A same-named product with a different SKU is a different product. Archived products are never
+// updated - a row that refers to one is an error until the product is restored or purged.
+// Returns { success: true, product } (product is null for new products) or { success: false, message }
+async function matchImportRow(data) {
+  const sku = typeof data.sku === 'string' ? normalizeSku(data.sku) : null;
+  
+  if (sku) {
+    const product = await productsCollection.findOne({ sku }, { projection: { ...IMPORT_MATCH_PROJECTION, deletedAt: 1 } });
+    if (product && product.deletedAt) {
+      return { success: false, message: `SKU ${sku} belongs to the archived product "${product.name}" - restore or purge it first` };
+    }
+    if (product) {
+      return { success: true, product };
+    }
+  }
+  
+  if (typeof data.name !== 'string') {
+    return { success: true, product: null };
+  }
+  
+  const nameFilter = { name: new RegExp(`^${escapeRegex(data.name)}$`, 'i') };
+  const named = await productsCollection
+    .find({ ...NOT_ARCHIVED, ...nameFilter }, { projection: IMPORT_MATCH_PROJECTION })
+    .limit(2)
+    .toArray();
+  
+  if (named.length > 1) {
+    return { success: false, message: `Several products are named "${data.name}" - add a sku to choose one` };
+  }
+  
+  const [product = null] = named;
+  if (product && sku && product.sku && product.sku !== sku) {
+    return { success: true, product: null };
+  }
+  
+  if (!product && !sku && await productsCollection.findOne({ ...nameFilter, deletedAt: { $ne: null } }, { projection: { _id: 1 } })) {
+    return { success: false, message: `"${data.name}" is an archived product - restore or purge it first, or add a sku to create a new product` };
+  }
+  return { success: true, product };
+}
+
+// Wait until a response can take more data (or the client has gone)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// POST /api/products/import - Create or update products from a CSV or JSON file ("file"; dryRun=true only checks)
+app.post('/api/products/import', authenticateToken, authorizeRoles('staff', 'admin'), uploadImportFile, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true' || req.body.dryRun === true;
+    
+    // Validation
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a CSV or JSON file in the "file" field'
+      });
+    }
+    
+    const file = readImportFile(req.file);
+    if (!file.success) {
+      return res.status(400).json({
+        success: false,
+        message: file.message
+      });
+    }
+    
+    if (file.rows.length === 0 || file.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import files must contain between 1 and ${MAX_IMPORT_ROWS} products`
+      });
+    }
+    
+    // Categories are referred to by name
+    const categories = await categoriesCollection.find(NOT_ARCHIVED, { projection: { name: 1 } }).toArray();
+    const categoryIdsByName = new Map(categories.map(category => [category.name.toLowerCase(), category._id.toString()]));
+    
+    const summary = { totalRows: file.rows.length, created: 0, updated: 0, failed: 0 };
+    const results = [];
+    const seenKeys = new Map();     // sku or name -> first row using it
+    const seenProducts = new Map(); // matched product ID -> first row updating it
+    
+    for (const { row, values } of file.rows) {
+      const result = { row, action: null, productId: null, sku: null, name: null };
+      results.push(result);
+      
+      const fail = (message) => {
+        result.action = 'error';
+        result.error = message;
+        summary.failed++;
+      };
+      
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        fail('Each product must be an object');
+        continue;
+      }
+      
+      const data = importRowToProductInput(values);
+      result.sku = typeof data.sku === 'string' ? normalizeSku(data.sku) : null;
+      result.name = typeof data.name === 'string' ? data.name : null;
+      
+      if (data.category !== undefined) {
+        const categoryId = categoryIdsByName.get(String(data.category).toLowerCase());
+        if (!categoryId) {
+          fail(`Category "${data.category}" not found`);
+          continue;
+        }
+        data.categoryId = categoryId;
+        delete data.category;
+      }
+      
+      const key = result.sku ? `sku:${result.sku}` : result.name && `name:${result.name.toLowerCase()}`;
+      if (!key) {
+        fail('Each product needs a sku or a name');
+        continue;
+      }
+      if (seenKeys.has(key)) {
+        fail(`Same product as row ${seenKeys.get(key)}`);
+        continue;
+      }
+      seenKeys.set(key, row);
+      
+      const match = await matchImportRow(data);
+      if (!match.success) {
+        fail(match.message);
+        continue;
+      }
+      
+      const existingProduct = match.product;
+      if (existingProduct) {
+        const productKey = existingProduct._id.toString();
+        if (seenProducts.has(productKey)) {
+          fail(`Same product as row ${seenProducts.get(productKey)}`);
+          continue;
+        }
+        seenProducts.set(productKey, row);
+        
+        if ((existingProduct.variants || []).length > 0 && data.stock !== undefined) {
+          fail('Stock is tracked per variant for this product - leave stock blank');
+          continue;
+        }
+      }
+      
+      // Same rules as POST /api/products (only the given fields for updates)
+      const validationError = existingProduct
+        ? await validateProductInput(data, { partial: true, productId: existingProduct._id })
+        : await validateProductInput(data);
+      if (validationError) {
+        fail(validationError);
+        continue;
+      }
+      
+      result.action = existingProduct ? 'update' : 'create';
+      result.productId = existingProduct ? existingProduct._id : null;
+      
+      if (!dryRun) {
+        try {
+          const movementDetails = { type: 'import', reason: `Imported from ${req.file.originalname}, row ${row}`, actor: requestActor(req) };
+          const priceDetails = { source: 'import', actor: requestActor(req) };
+          if (existingProduct) {
+            const updates = await buildProductUpdates(existingProduct, data, true);
+            const updatedProduct = await productsCollection.findOneAndUpdate(
+              { _id: existingProduct._id },
+              { $set: updates },
+              { returnDocument: 'after', projection: { ...STOCK_PROJECTION, price: 1, compareAtPrice: 1 } }
+            );
+            if (updatedProduct && updates.stock !== undefined) {
+              await recordStockMovements([
+                stockMovement(updatedProduct, null, updatedProduct.stock - (existingProduct.stock || 0), movementDetails)
+              ]);
+            }
+            if (updatedProduct) {
+              await recordPriceChanges(productPriceChanges(existingProduct, updatedProduct, priceDetails));
+            }
+          } else {
+            const newProduct = await buildNewProduct(data);
+            const insertResult = await productsCollection.insertOne(newProduct);
+            result.productId = insertResult.insertedId;
+            await recordStockMovements([stockMovement(newProduct, null, newProduct.stock, movementDetails)]);
+            await recordPriceChanges(productPriceChanges(null, newProduct, priceDetails));
+          }
+        } catch (error) {
+          result.productId = null;
+          fail(error.code === 11000 ? 'A product or variant with this SKU already exists' : error.message);
+          continue;
+        }
+      }
+      
+      summary[existingProduct ? 'updated' : 'created']++;
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run finished - nothing was saved'
+        : `Import finished: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`,
+      dryRun: dryRun,
+      summary: summary,
+      ignoredColumns: file.ignoredColumns,
+      results: results
+    });
+    
+    console.log(`📥 Product import${dryRun ? ' (dry run)' : ''} by ${req.user.email}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+    
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/export - Download the whole catalog as CSV
+app.get('/api/products/export', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const cursor = productsCollection.find({}).sort({ _id: 1 });
+    
+    res.status(200);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(toCsvLine(EXPORT_COLUMNS));
+    
+    // Stream row by row so large catalogs never sit in memory
+    let count = 0;
+    for await (const product of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+      
+      const variantCount = (product.variants || []).length;
+      const line = toCsvLine([
+        product._id,
+        product.sku,
+        product.name,
+        product.slug,
+        product.description,
+        product.price,
+        product.compareAtPrice,
+        variantCount > 0 ? null : product.stock, // Per-variant stock isn't editable here
+        product.reorderThreshold,
+        product.status,
+        product.categoryName,
+        product.imageUrl,
+        ...MERCHANDISING_FLAGS.map(flag => product[flag] === true),
+        variantCount,
+        product.createdAt,
+        product.updatedAt
+      ]);
+      
+      if (!res.write(line)) {
+        await waitForDrain(res);
+      }
+      count++;
+    }
+    
+    res.end();
+    console.log(`📤 Exported ${count} products for ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    
+    // Once the CSV has started, the only way to signal failure is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/by-slug/:slug - Get single product by slug (old slugs redirect)
+app.get('/api/products/by-slug/:slug', async (req, res) => {
+  try {
+    const { doc: product, redirect } = await findBySlug(productsCollection, req.params.slug, NOT_ARCHIVED);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    if (redirect) {
+      return sendSlugRedirect(res, `/api/products/by-slug/${product.slug}`, product.slug);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await withEffectivePrice(product)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching product by slug:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/:id - Get single product by ID (archived products only for staff/admin)
+app.get('/api/products/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ 
+      _id: new ObjectId(id),
+      ...(!isStaffRequest(req) && NOT_ARCHIVED)
+    });
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await withEffectivePrice(product)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+      error: error.message
+    });
+  }
+});
+
+// Shared handler for PUT (replace all editable fields) and PATCH (update only the fields sent)
+const updateProductHandler = (partial) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { stock, stockReason } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    if (partial && !PRODUCT_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${PRODUCT_FIELDS.join(', ')}`
+      });
+    }
+    
+    // Same rules as POST /api/products
+    const validationError = await validateProductInput(req.body, { partial, productId: new ObjectId(id) });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const existingProduct = await productsCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { name: 1, slug: 1, previousSlugs: 1, price: 1, compareAtPrice: 1, stock: 1, 'variants._id': 1 } }
+    );
+    
+    if (!existingProduct) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    // Products with variants track stock per variant; their stock is the variants' total
+    const hasVariants = (existingProduct.variants || []).length > 0;
+    
+    if (hasVariants && stock !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock is tracked per variant for this product - update the variants instead'
+      });
+    }
+    
+    const updates = await buildProductUpdates(existingProduct, req.body, partial);
+    
+    // Update in place so the _id (and every cart line referencing it) stays the same.
+    // The product as it was just before the update comes back, so changes are measured against
+    // what was replaced - an order may have taken stock since existingProduct was read.
+    const previousProduct = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: updates },
+      { returnDocument: 'before' }
+    );
+    
+    if (!previousProduct) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const updatedProduct = { ...previousProduct, ...updates };
+    
+    // Stock set by hand is recorded as an adjustment; stockReason says why (e.g. "Stock count")
+    if (updates.stock !== undefined) {
+      await recordStockMovements([
+        stockMovement(updatedProduct, null, updatedProduct.stock - (previousProduct.stock || 0), {
+          type: 'adjustment',
+          reason: typeof stockReason === 'string' && stockReason.trim() ? stockReason.trim() : 'Product updated',
+          actor: requestActor(req)
+        })
+      ]);
+    }
+    await recordPriceChanges(productPriceChanges(previousProduct, updatedProduct, { source: 'product', actor: requestActor(req) }));
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: updatedProduct
+    });
+    
+    console.log(`✏️ Product updated: ${updatedProduct.name}`);
+    
+  } catch (error) {
+    console.error('Error updating product:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product or variant with this SKU already exists'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product',
+      error: error.message
+    });
+  }
+};
+
+// PUT /api/products/:id - Replace a product's editable fields
+app.put('/api/products/:id', authenticateToken, authorizeRoles('staff', 'admin'), updateProductHandler(false));
+
+// PATCH /api/products/:id - Update some of a product's fields
+app.patch('/api/products/:id', authenticateToken, authorizeRoles('staff', 'admin'), updateProductHandler(true));
+
+// DELETE /api/products/:id - Archive a product (hidden from the storefront; restore or purge it later)
+app.delete('/api/products/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    // The document stays, so cart lines and order history keep pointing at a real product
+    const archivedProduct = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), ...NOT_ARCHIVED },
+      { $set: { deletedAt: new Date(), deletedBy: new ObjectId(req.user.userId), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!archivedProduct) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or already archived'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product archived successfully',
+      data: archivedProduct
+    });
+    
+    console.log(`🗑️ Product archived: ${archivedProduct.name}`);
+    
+  } catch (error) {
+    console.error('Error archiving product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving product',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/restore - Bring an archived product back
+app.post('/api/products/:id/restore', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $ne: null } });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archived product not found'
+      });
+    }
+    
+    // A product can't come back into a category that is still archived
+    if (product.categoryId && ObjectId.isValid(product.categoryId) &&
+        await categoriesCollection.findOne({ _id: new ObjectId(product.categoryId), deletedAt: { $ne: null } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product\'s category is archived - restore the category first or move the product'
+      });
+    }
+    
+    const restoredProduct = await productsCollection.findOneAndUpdate(
+      { _id: product._id },
+      { $unset: { deletedAt: "", deletedBy: "" }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      data: restoredProduct
+    });
+    
+    console.log(`♻️ Product restored: ${restoredProduct.name}`);
+    
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring product',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/purge - Permanently delete an archived product with its images and reviews
+app.delete('/api/products/:id/purge', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    // Purging is the second step, so nothing is lost to a single mistaken click
+    if (!product.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive the product before purging it'
+      });
+    }
+    
+    await productsCollection.deleteOne({ _id: product._id });
+    
+    // Everything that only makes sense with the product. Cart lines and orders keep their
+    // snapshots; carts show such lines as unavailable.
+    const reviews = await reviewsCollection.find({ productId: product._id }).project({ photos: 1 }).toArray();
+    await Promise.all([
+      ...(product.images || []).map(removeStoredImage),
+      ...reviews.flatMap(review => review.photos || []).map(removeStoredImage),
+      reviewsCollection.deleteMany({ productId: product._id }),
+      curatedCollectionsCollection.updateMany({ productIds: product._id }, { $pull: { productIds: product._id } }),
+      wishlistsCollection.updateMany({ 'items.productId': product._id }, { $pull: { items: { productId: product._id } } })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product permanently deleted'
+    });
+    
+    console.log(`🗑️ Product purged: ${product.name} (${id}) by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error purging product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging product',
+      error: error.message
+    });
+  }
+});
+
+// Product variants: a product can come in several fabrics, colours or sizes. Each variant has its
+// own SKU, attribute map, optional price override, stock and image. When a product has variants,
+// its stock is the total of the variants' stock and cart/order lines must name a variant.
+const VARIANT_FIELDS = ['sku', 'attributes', 'price', 'stock', 'imageUrl'];
+const VARIANT_SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,63}$/;
+const MAX_VARIANT_ATTRIBUTES = 10;
+
+// Validate variant input for create, or only the provided fields when partial.
+// Returns an error message, or null if the input is valid.
+function validateVariantInput(data, { partial = false } = {}) {
+  const { sku, attributes, price, stock, imageUrl } = data;
+  
+  if (!partial && (!sku || !attributes)) {
+    return 'SKU and attributes are required fields';
+  }
+  
+  if (sku !== undefined && (typeof sku !== 'string' || !VARIANT_SKU_PATTERN.test(sku.trim().toUpperCase()))) {
+    return 'SKU must be 1-64 letters, digits, dots, dashes or underscores';
+  }
+  
+  if (attributes !== undefined) {
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return 'Attributes must be an object, e.g. { "color": "Blue", "size": "3 Seater" }';
+    }
+    const entries = Object.entries(attributes);
+    if (entries.length === 0 || entries.length > MAX_VARIANT_ATTRIBUTES) {
+      return `Attributes must have between 1 and ${MAX_VARIANT_ATTRIBUTES} entries`;
+    }
+    if (entries.some(([key, value]) => !key.trim() || !['string', 'number'].includes(typeof value) || !String(value).trim())) {
+      return 'Attribute names and values must be non-empty strings or numbers';
+    }
+  }
+  
+  // null clears the override, so the variant sells at the product price
+  if (price !== undefined && price !== null && (typeof price !== 'number' || !Number.isFinite(price) || price <= 0)) {
+    return 'Price must be a positive number';
+  }
+  
+  if (stock !== undefined && (typeof stock !== 'number' || !Number.isInteger(stock) || stock < 0)) {
+    return 'Stock must be a non-negative integer';
+  }
+  
+  if (imageUrl !== undefined && typeof imageUrl !== 'string') {
+    return 'Image URL must be a string';
+  }
+  
+  return null;
+}
+
+// Normalize an attribute map to trimmed string values
+const normalizeVariantAttributes = (attributes) => Object.fromEntries(
+  Object.entries(attributes).map(([key, value]) => [key.trim(), String(value).trim()])
+);
+
+// Price a variant sells at - its override, or the product price
+const variantPrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+
+// Stock available for a product, or for one of its variants
+const availableStock = (product, variant) => variant ? variant.stock : product.stock;
+
+// Resolve the variant a cart line refers to. Products with variants need one, products without
+// must not get one. Returns { success: true, variant } (variant is null for simple products) or
+// { success: false, status, message, error }
+function resolveVariant(product, variantId) {
+  const variants = product.variants || [];
+  
+  if (variants.length === 0) {
+    return variantId
+      ? { success: false, status: 400, message: 'This product has no variants', error: 'Invalid variant' }
+      : { success: true, variant: null };
+  }
+  
+  if (!variantId) {
+    return { success: false, status: 400, message: 'Please choose a variant of this product', error: 'Variant required' };
+  }
+  
+  if (!ObjectId.isValid(variantId)) {
+    return { success: false, status: 400, message: 'Invalid variant ID format', error: 'Invalid ObjectId' };
+  }
+  
+  const variant = variants.find(candidate => candidate._id.toString() === variantId.toString());
+  if (!variant) {
+    return { success: false, status: 404, message: 'Variant not found', error: 'Variant does not exist' };
+  }
+  
+  return { success: true, variant };
+}
+
+// Recompute a variant product's stock as the total of its variants
+const syncVariantStock = (productId) => productsCollection.updateOne(
+  { _id: productId },
+  [{ $set: { stock: { $sum: '$variants.stock' } } }]
+);
+
+// Another product (or variant) already using the SKU, if any
+const findProductBySku = (sku, excludeVariantId = null, excludeProductId = null) => productsCollection.findOne({
+  $or: [
+    { sku, ...(excludeProductId && { _id: { $ne: excludeProductId } }) },
+    { variants: { $elemMatch: { sku, ...(excludeVariantId && { _id: { $ne: excludeVariantId } }) } } }
+  ]
+});
+
+// POST /api/products/:id/variants - Add a variant to a product
+app.post('/api/products/:id/variants', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sku, attributes, price, stock, imageUrl } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    // Validation
+    const validationError = validateVariantInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const normalizedSku = sku.trim().toUpperCase();
+    if (await findProductBySku(normalizedSku)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product or variant with this SKU already exists'
+      });
+    }
+    
+    const newVariant = {
+      _id: new ObjectId(),
+      sku: normalizedSku,
+      attributes: normalizeVariantAttributes(attributes),
+      price: price !== undefined && price !== null ? Number(price) : null,
+      stock: stock !== undefined ? Number(stock) : 0,
+      imageUrl: imageUrl || ""
+    };
+    
+    const result = await productsCollection.updateOne(
+      { _id: new ObjectId(id) },
+      { $push: { variants: newVariant }, $set: { updatedAt: new Date() } }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    await syncVariantStock(new ObjectId(id));
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    
+    await recordStockMovements([
+      stockMovement(product, newVariant, newVariant.stock, { type: 'adjustment', reason: 'Initial stock', actor: requestActor(req) })
+    ]);
+    await recordPriceChanges([priceChange(product, newVariant, 'price', null, newVariant.price, { source: 'variant', actor: requestActor(req) })]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: newVariant,
+      product: product
+    });
+    
+    console.log(`✅ Variant ${newVariant.sku} added to product: ${product.name}`);
+    
+  } catch (error) {
+    console.error('Error adding variant:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product or variant with this SKU already exists'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error adding variant',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/products/:id/variants/:variantId - Update some of a variant's fields
+app.patch('/api/products/:id/variants/:variantId', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    const { sku, attributes, price, stock, imageUrl } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(variantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID format'
+      });
+    }
+    
+    if (!VARIANT_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${VARIANT_FIELDS.join(', ')}`
+      });
+    }
+    
+    // Validation
+    const validationError = validateVariantInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const updates = { updatedAt: new Date() };
+    if (sku !== undefined) {
+      const normalizedSku = sku.trim().toUpperCase();
+      if (await findProductBySku(normalizedSku, new ObjectId(variantId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A product or variant with this SKU already exists'
+        });
+      }
+      updates['variants.$.sku'] = normalizedSku;
+    }
+    if (attributes !== undefined) updates['variants.$.attributes'] = normalizeVariantAttributes(attributes);
+    if (price !== undefined) updates['variants.$.price'] = price === null ? null : Number(price);
+    if (stock !== undefined) updates['variants.$.stock'] = Number(stock);
+    if (imageUrl !== undefined) updates['variants.$.imageUrl'] = imageUrl || "";
+    
+    // The variant as it was, to record how its stock and price changed
+    const previous = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), 'variants._id': new ObjectId(variantId) },
+      { $set: updates },
+      { returnDocument: 'before', projection: { ...STOCK_PROJECTION, 'variants.price': 1 } }
+    );
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product or variant not found'
+      });
+    }
+    
+    await syncVariantStock(new ObjectId(id));
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    const variant = findVariant(product, variantId);
+    
+    if (stock !== undefined) {
+      await recordStockMovements([
+        stockMovement(product, variant, variant.stock - findVariant(previous, variantId).stock, {
+          type: 'adjustment',
+          reason: typeof req.body.stockReason === 'string' && req.body.stockReason.trim() ? req.body.stockReason.trim() : 'Variant updated',
+          actor: requestActor(req)
+        })
+      ]);
+    }
+    if (price !== undefined) {
+      await recordPriceChanges([
+        priceChange(product, variant, 'price', findVariant(previous, variantId).price, variant.price, { source: 'variant', actor: requestActor(req) })
+      ]);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: variant,
+      product: product
+    });
+    
+    console.log(`✏️ Variant ${variant.sku} updated on product: ${product.name}`);
+    
+  } catch (error) {
+    console.error('Error updating variant:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product or variant with this SKU already exists'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating variant',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Remove a variant
+app.delete('/api/products/:id/variants/:variantId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(variantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID format'
+      });
+    }
+    
+    const previous = await productsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), 'variants._id': new ObjectId(variantId) },
+      { $pull: { variants: { _id: new ObjectId(variantId) } }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'before', projection: STOCK_PROJECTION }
+    );
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product or variant not found'
+      });
+    }
+    
+    // Without variants left, the product's stock is 0 until it's set again
+    await syncVariantStock(new ObjectId(id));
+    
+    // The deleted variant's stock leaves the books with it
+    const removedVariant = findVariant(previous, variantId);
+    await recordStockMovements([
+      stockMovement(previous, { ...removedVariant, stock: 0 }, -removedVariant.stock, {
+        type: 'adjustment',
+        reason: 'Variant deleted',
+        actor: requestActor(req)
+      })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+    
+    console.log(`🗑️ Variant ${variantId} deleted from product: ${id}`);
+    
+  } catch (error) {
+    console.error('Error deleting variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting variant',
+      error: error.message
+    });
+  }
+});
+
+// Product image galleries: uploads are checked, resized and stored through the image storage
+// adapter. The gallery is ordered, exactly one image is primary, and the primary image's URL is
+// copied to imageUrl so existing clients (and cart lines) keep working.
+
+const MAX_GALLERY_IMAGES = 20;
+const MAX_IMAGES_PER_UPLOAD = 10;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Keep uploads in memory - they're resized before anything is written to storage
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxImageUploadMb * 1024 * 1024, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware parsing up to maxCount images from a multipart field, turning upload errors into
+// 400 responses. Requests that aren't multipart pass through untouched.
+const uploadImages = (field, maxCount) => (req, res, next) => {
+  imageUpload.array(field, maxCount)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    const messages = {
+      LIMIT_FILE_SIZE: `Each image must be at most ${config.maxImageUploadMb} MB`,
+      LIMIT_FILE_COUNT: `Upload at most ${maxCount} images at a time`,
+      LIMIT_UNEXPECTED_FILE: `Send at most ${maxCount} JPEG, PNG or WebP images in the "${field}" field`
+    };
+    
+    res.status(400).json({
+      success: false,
+      message: messages[error.code] || 'Invalid image upload',
+      error: error.message
+    });
+  });
+};
+
+const uploadProductImages = uploadImages('images', MAX_IMAGES_PER_UPLOAD);
+
+// Resize an upload to a full-size image (max 1600px) and a 400px square thumbnail, both WebP.
+// Throws if the file isn't really an image, whatever its declared type.
+async function processImageUpload(buffer) {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+  
+  const [full, thumbnail] = await Promise.all([
+    image.clone()
+      .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer({ resolveWithObject: true }),
+    image.clone()
+      .resize(400, 400, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer()
+  ]);
+  
+  return { full: full.data, width: full.info.width, height: full.info.height, thumbnail };
+}
+
+// Store a processed image and its thumbnail under a key prefix (e.g. "products/<id>")
+async function storeProcessedImage(prefix, result) {
+  const imageId = new ObjectId();
+  const key = `${prefix}/${imageId}.webp`;
+  const thumbnailKey = `${prefix}/${imageId}-thumb.webp`;
+  
+  return {
+    _id: imageId,
+    url: await imageStorage.save(key, result.full, 'image/webp'),
+    thumbnailUrl: await imageStorage.save(thumbnailKey, result.thumbnail, 'image/webp'),
+    key,
+    thumbnailKey,
+    width: result.width,
+    height: result.height
+  };
+}
+
+// Save a product's gallery, making sure exactly one image is primary and imageUrl matches it
+async function saveProductGallery(productId, images) {
+  if (images.length > 0 && !images.some(image => image.isPrimary)) {
+    images[0].isPrimary = true;
+  }
+  const primary = images.find(image => image.isPrimary);
+  images.forEach(image => { image.isPrimary = image === primary; });
+  
+  return productsCollection.findOneAndUpdate(
+    { _id: productId },
+    { $set: { images, imageUrl: primary ? primary.url : "", updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Remove an image's files from storage. A leftover file is logged, not fatal.
+async function removeStoredImage(image) {
+  try {
+    await Promise.all([imageStorage.remove(image.key), imageStorage.remove(image.thumbnailKey)]);
+  } catch (error) {
+    console.error('Error removing stored image:', error.message);
+  }
+}
+
+// POST /api/products/:id/images - Upload images to a product's gallery (multipart field "images")
+app.post('/api/products/:id/images', authenticateToken, authorizeRoles('staff', 'admin'), uploadProductImages, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const files = req.files || [];
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach at least one image in the "images" field'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const images = product.images || [];
+    if (images.length + files.length > MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${MAX_GALLERY_IMAGES} images (${images.length} already)`
+      });
+    }
+    
+    // Process every file before storing any, so one bad file doesn't leave half an upload behind
+    const processed = [];
+    for (const file of files) {
+      try {
+        processed.push(await processImageUpload(file.buffer));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${file.originalname} is not a valid image`,
+          error: error.message
+        });
+      }
+    }
+    
+    const newImages = [];
+    for (const result of processed) {
+      newImages.push({
+        ...await storeProcessedImage(`products/${id}`, result),
+        alt: req.body.alt ? String(req.body.alt).trim() : product.name,
+        isPrimary: false,
+        uploadedAt: new Date()
+      });
+    }
+    
+    const updatedProduct = await saveProductGallery(product._id, [...images, ...newImages]);
+    
+    res.status(201).json({
+      success: true,
+      message: `${newImages.length} image(s) uploaded successfully`,
+      data: updatedProduct
+    });
+    
+    console.log(`🖼️ ${newImages.length} image(s) uploaded for product: ${product.name}`);
+    
+  } catch (error) {
+    console.error('Error uploading product images:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading product images',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/products/:id/images/order - Reorder the gallery (imageIds: every image ID, in the new order)
+app.put('/api/products/:id/images/order', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { imageIds } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    if (!Array.isArray(imageIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must be an array of image IDs'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const images = product.images || [];
+    const reordered = imageIds.map(imageId => images.find(image => image._id.toString() === String(imageId)));
+    
+    if (reordered.length !== images.length || reordered.some(image => !image) || new Set(imageIds.map(String)).size !== images.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must list every image of the product exactly once'
+      });
+    }
+    
+    const updatedProduct = await saveProductGallery(product._id, reordered);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: updatedProduct
+    });
+    
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering product images',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/products/:id/images/:imageId - Update an image's alt text or make it the primary image
+app.patch('/api/products/:id/images/:imageId', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    const { alt, isPrimary } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(imageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID format'
+      });
+    }
+    
+    if (alt === undefined && isPrimary !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide alt and/or isPrimary: true'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    const images = product ? product.images || [] : [];
+    const image = images.find(candidate => candidate._id.toString() === imageId);
+    
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product or image not found'
+      });
+    }
+    
+    if (alt !== undefined) {
+      image.alt = String(alt).trim();
+    }
+    if (isPrimary === true) {
+      images.forEach(candidate => { candidate.isPrimary = candidate === image; });
+    }
+    
+    const updatedProduct = await saveProductGallery(product._id, images);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Image updated successfully',
+      data: updatedProduct
+    });
+    
+  } catch (error) {
+    console.error('Error updating product image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product image',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/images/:imageId - Remove an image from the gallery and from storage
+app.delete('/api/products/:id/images/:imageId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(imageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID format'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) });
+    const images = product ? product.images || [] : [];
+    const image = images.find(candidate => candidate._id.toString() === imageId);
+    
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product or image not found'
+      });
+    }
+    
+    // If the primary image goes, the next one in the gallery takes over
+    const updatedProduct = await saveProductGallery(
+      product._id,
+      images.filter(candidate => candidate !== image)
+    );
+    await removeStoredImage(image);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: updatedProduct
+    });
+    
+    console.log(`🗑️ Image ${imageId} deleted from product: ${product.name}`);
+    
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting product image',
+      error: error.message
+    });
+  }
+});
+
+// Fold documents from the old latestproducts collection into products as new arrivals.
+// Runs at startup and only touches documents that haven't been migrated, so it's safe to repeat.
+// A product with the same name is flagged instead of duplicated; otherwise the document is copied
+// with its original _id, so old /api/latestproducts/:id links and cart adds keep working.
+// latestproducts documents are kept as a backup, marked with migratedToProductId.
+async function migrateLatestProducts() {
+  const pending = await latestproductsCollection.find({ migratedToProductId: { $exists: false } }).toArray();
+  const summary = { copied: 0, matched: 0, skipped: 0 };
+  
+  for (const latest of pending) {
+    const name = typeof latest.name === 'string' ? latest.name.trim() : '';
+    const price = Number(latest.price);
+    
+    if (!name || isNaN(price) || price <= 0) {
+      console.log(`⚠️ Latest product ${latest._id} not migrated: it needs a name and a positive price`);
+      summary.skipped++;
+      continue;
+    }
+    
+    let product = await productsCollection.findOne({
+      $or: [
+        { _id: latest._id },
+        { name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') } }
+      ]
+    });
+    
+    if (product) {
+      await productsCollection.updateOne(
+        { _id: product._id },
+        {
+          $set: { newArrival: true, updatedAt: new Date() },
+          // Remember the old ID so /api/latestproducts/:id still finds the product
+          ...(!product._id.equals(latest._id) && { $addToSet: { legacyLatestProductIds: latest._id } })
+        }
+      );
+      summary.matched++;
+    } else {
+      const categoryId = latest.categoryId && ObjectId.isValid(latest.categoryId) ? String(latest.categoryId) : null;
+      const stock = Number(latest.stock);
+      
+      product = {
+        _id: latest._id,
+        categoryId: categoryId,
+        categoryName: await getCategoryName(categoryId),
+        name: name,
+        slug: await generateUniqueSlug(productsCollection, name),
+        description: typeof latest.description === 'string' ? latest.description.trim() : "",
+        price: price,
+        stock: Number.isInteger(stock) && stock >= 0 ? stock : 0,
+        status: latest.status || "Active",
+        imageUrl: latest.imageUrl || "",
+        newArrival: true,
+        featured: false,
+        bestseller: false,
+        createdAt: latest.createdAt instanceof Date ? latest.createdAt : new Date(),
+        updatedAt: new Date()
+      };
+      await productsCollection.insertOne(product);
+      summary.copied++;
+    }
+    
+    await latestproductsCollection.updateOne(
+      { _id: latest._id },
+      { $set: { migratedToProductId: product._id, migratedAt: new Date() } }
+    );
+  }
+  
+  if (pending.length > 0) {
+    console.log(`✅ Latest products migrated: ${summary.copied} copied, ${summary.matched} matched existing products, ${summary.skipped} skipped`);
+  }
+}
+
+// GET /api/latestproducts - New arrivals (products flagged newArrival), newest first
+app.get('/api/latestproducts', async (req, res) => {
+  try {
+    const latestproducts = await productsCollection
+      .find({ newArrival: true, ...ACTIVE_PRODUCT_FILTER })
+      .sort({ createdAt: -1, _id: 1 })
+      .toArray();
+    
+    // Send successful response
+    res.status(200).json({
+      success: true,
+      count: latestproducts.length,
+      data: await withEffectivePrices(latestproducts)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching latest products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching latest products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/latestproducts/:id - Get single new arrival by ID (including IDs from the old latestproducts collection)
+app.get('/api/latestproducts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid latest product ID format'
+      });
+    }
+    
+    const latestproduct = await productsCollection.findOne({
+      $or: [{ _id: new ObjectId(id) }, { legacyLatestProductIds: new ObjectId(id) }],
+      newArrival: true,
+      ...NOT_ARCHIVED
+    });
+    
+    if (!latestproduct) {
+      return res.status(404).json({
+        success: false,
+        message: 'Latest product not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await withEffectivePrice(latestproduct)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching latest product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching latest product',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/categories - Get all categories (staff/admin: archived=true for the archived ones)
+app.get('/api/categories', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const filter = req.query.archived === 'true' && isStaffRequest(req) ? { deletedAt: { $ne: null } } : NOT_ARCHIVED;
+    const categories = await categoriesCollection.find(filter).toArray();
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+    
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching categories',
+      error: error.message
+    });
+  }
+});
+
+// Categories form a tree through parentId (null for top-level categories)
+const MAX_CATEGORY_DEPTH = 5;
+
+// Ancestors of a category, top-level first (e.g. Living Room, Sofas for Sectionals)
+async function getCategoryAncestors(categoryId) {
+  const [result] = await categoriesCollection.aggregate([
+    { $match: { _id: categoryId } },
+    {
+      $graphLookup: {
+        from: 'categories',
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    }
+  ]).toArray();
+  
+  return result ? result.ancestors.sort((a, b) => b.depth - a.depth) : [];
+}
+
+// Every category below a category, at any depth, as { _id, depth } (0 for direct subcategories)
+async function getCategoryDescendants(categoryId) {
+  const [result] = await categoriesCollection.aggregate([
+    { $match: { _id: categoryId } },
+    {
+      $graphLookup: {
+        from: 'categories',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants',
+        depthField: 'depth'
+      }
+    },
+    { $project: { 'descendants._id': 1, 'descendants.depth': 1 } }
+  ]).toArray();
+  
+  return result ? result.descendants : [];
+}
+
+// IDs of every category below a category, at any depth
+async function getDescendantCategoryIds(categoryId) {
+  const descendants = await getCategoryDescendants(categoryId);
+  return descendants.map(descendant => descendant._id);
+}
+
+// Check a new parent for a category (categoryId is null when creating one).
+// Returns an error message, or null if the parent is valid.
+async function validateCategoryParent(categoryId, parentId) {
+  if (!ObjectId.isValid(parentId)) {
+    return 'Invalid parent category ID format';
+  }
+  
+  const parent = await categoriesCollection.findOne({ _id: new ObjectId(parentId), ...NOT_ARCHIVED });
+  if (!parent) {
+    return 'Parent category not found';
+  }
+  
+  // A category can't sit under itself or anything below it
+  let subtreeLevels = 0;
+  if (categoryId) {
+    if (parent._id.equals(categoryId)) {
+      return 'A category cannot be its own parent';
+    }
+    const descendants = await getCategoryDescendants(categoryId);
+    if (descendants.some(descendant => descendant._id.equals(parent._id))) {
+      return 'A category cannot be moved under one of its own subcategories';
+    }
+    // Its subcategories move with it, so they count towards the depth too
+    subtreeLevels = descendants.reduce((levels, descendant) => Math.max(levels, descendant.depth + 1), 0);
+  }
+  
+  // The parent's ancestors, the parent, the category and the levels below it
+  const ancestors = await getCategoryAncestors(parent._id);
+  if (ancestors.length + 2 + subtreeLevels > MAX_CATEGORY_DEPTH) {
+    return `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`;
+  }
+  
+  return null;
+}
+
+// A category with its breadcrumbs (top-level category first, this category last) and direct subcategories
+async function buildCategoryView(category) {
+  const [ancestors, children] = await Promise.all([
+    getCategoryAncestors(category._id),
+    categoriesCollection.find({ parentId: category._id, ...NOT_ARCHIVED }).project({ name: 1, slug: 1 }).sort({ name: 1 }).toArray()
+  ]);
+  
+  return {
+    data: category,
+    breadcrumbs: [...ancestors, category].map(crumb => ({ _id: crumb._id, name: crumb.name, slug: crumb.slug })),
+    children: children
+  };
+}
+
+// GET /api/categories/tree - All categories nested under their parents
+app.get('/api/categories/tree', async (req, res) => {
+  try {
+    const categories = await categoriesCollection.find(NOT_ARCHIVED).sort({ name: 1 }).toArray();
+    
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const tree = [];
+    
+    for (const node of nodes.values()) {
+      const parent = node.parentId && nodes.get(node.parentId.toString());
+      // Categories whose parent is missing are shown at the top level rather than lost
+      (parent ? parent.children : tree).push(node);
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: tree
+    });
+    
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category tree',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/categories - Add a new category
+app.post('/api/categories', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { name, description, parentId } = req.body;
+    
+    // Validation
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required field'
+      });
+    }
+    
+    // Check if category name already exists
+    const existingCategory = await categoriesCollection.findOne({ 
+      name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') }
+    });
+    
+    if (existingCategory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category with this name already exists'
+      });
+    }
+    
+    if (parentId) {
+      const parentError = await validateCategoryParent(null, parentId);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+    
+    // Create new category object
+    const newCategory = {
+      name: name.trim(),
+      slug: await generateUniqueSlug(categoriesCollection, name.trim()),
+      description: description ? description.trim() : "",
+      parentId: parentId ? new ObjectId(parentId) : null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    // Insert the category into database
+    const result = await categoriesCollection.insertOne(newCategory);
+    
+    // Get the inserted category
+    const insertedCategory = await categoriesCollection.findOne({ 
+      _id: result.insertedId 
+    });
+    
+    // Send success response
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: insertedCategory
+    });
+    
+    console.log(`✅ New category added: ${name}`);
+    
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating category',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/categories/by-slug/:slug - Get single category by slug (old slugs redirect)
+app.get('/api/categories/by-slug/:slug', async (req, res) => {
+  try {
+    const { doc: category, redirect } = await findBySlug(categoriesCollection, req.params.slug, NOT_ARCHIVED);
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    if (redirect) {
+      return sendSlugRedirect(res, `/api/categories/by-slug/${category.slug}`, category.slug);
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...await buildCategoryView(category)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching category by slug:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/categories/:id - Get single category by ID (archived categories only for staff/admin)
+app.get('/api/categories/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+    
+    const category = await categoriesCollection.findOne({ 
+      _id: new ObjectId(id),
+      ...(!isStaffRequest(req) && NOT_ARCHIVED)
+    });
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...await buildCategoryView(category)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/categories/:id - Update a category
+app.patch('/api/categories/:id', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, parentId } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+    
+    if (name === undefined && description === undefined && parentId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: name, description, parentId'
+      });
+    }
+    
+    const updates = { updatedAt: new Date() };
+    
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name must be a non-empty string'
+        });
+      }
+      
+      // Check if another category already uses this name
+      const existingCategory = await categoriesCollection.findOne({ 
+        _id: { $ne: new ObjectId(id) },
+        name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') }
+      });
+      
+      if (existingCategory) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category with this name already exists'
+        });
+      }
+      
+      updates.name = name.trim();
+      
+      // A new name gets a new slug; the old one keeps redirecting
+      const currentCategory = await categoriesCollection.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { name: 1, slug: 1, previousSlugs: 1 } }
+      );
+      if (currentCategory && currentCategory.name !== updates.name) {
+        Object.assign(updates, await slugFieldsForRename(categoriesCollection, currentCategory, updates.name));
+      }
+    }
+    
+    if (description !== undefined) {
+      updates.description = description ? String(description).trim() : "";
+    }
+    
+    // parentId: null moves the category to the top level
+    if (parentId !== undefined) {
+      if (parentId) {
+        const parentError = await validateCategoryParent(new ObjectId(id), parentId);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+      updates.parentId = parentId ? new ObjectId(parentId) : null;
+    }
+    
+    const updatedCategory = await categoriesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    
+    if (!updatedCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    // Keep the copy on products (used by search) in step with a rename
+    if (updates.name) {
+      await productsCollection.updateMany(
+        { categoryId: { $in: [updatedCategory._id, id] } },
+        { $set: { categoryName: updatedCategory.name } }
+      );
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: updatedCategory
+    });
+    
+    console.log(`✏️ Category updated: ${updatedCategory.name}`);
+    
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating category',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/categories/:id - Archive a category (restore or purge it later)
+app.delete('/api/categories/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+    
+    // Check if there are live products using this category or any category below it
+    const subtreeIds = [new ObjectId(id), ...await getDescendantCategoryIds(new ObjectId(id))];
+    const productsWithCategory = await productsCollection.countDocuments({ 
+      categoryId: { $in: subtreeIds.flatMap(categoryId => [categoryId.toString(), categoryId]) },
+      ...NOT_ARCHIVED
+    });
+    
+    if (productsWithCategory > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot archive category. ${productsWithCategory} product(s) are using this category or its subcategories`
+      });
+    }
+    
+    // Subcategories would be left under a hidden parent
+    const childCategories = await categoriesCollection.countDocuments({ parentId: new ObjectId(id), ...NOT_ARCHIVED });
+    
+    if (childCategories > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot archive category. It has ${childCategories} subcategory(ies) - move or archive them first`
+      });
+    }
+    
+    const archivedCategory = await categoriesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), ...NOT_ARCHIVED },
+      { $set: { deletedAt: new Date(), deletedBy: new ObjectId(req.user.userId), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!archivedCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found or already archived'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category archived successfully',
+      data: archivedCategory
+    });
+    
+    console.log(`🗑️ Category archived: ${archivedCategory.name}`);
+    
+  } catch (error) {
+    console.error('Error archiving category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving category',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/categories/:id/restore - Bring an archived category back
+app.post('/api/categories/:id/restore', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+    
+    const category = await categoriesCollection.findOne({ _id: new ObjectId(id), deletedAt: { $ne: null } });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archived category not found'
+      });
+    }
+    
+    if (category.parentId && await categoriesCollection.findOne({ _id: category.parentId, deletedAt: { $ne: null } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The parent category is archived - restore it first'
+      });
+    }
+    
+    const restoredCategory = await categoriesCollection.findOneAndUpdate(
+      { _id: category._id },
+      { $unset: { deletedAt: "", deletedBy: "" }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category restored successfully',
+      data: restoredCategory
+    });
+    
+    console.log(`♻️ Category restored: ${restoredCategory.name}`);
+    
+  } catch (error) {
+    console.error('Error restoring category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring category',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/categories/:id/purge - Permanently delete an archived, unused category
+app.delete('/api/categories/:id/purge', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+    
+    const category = await categoriesCollection.findOne({ _id: new ObjectId(id) });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    if (!category.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive the category before purging it'
+      });
+    }
+    
+    // Archived products and subcategories still point at it
+    const [productsWithCategory, childCategories] = await Promise.all([
+      productsCollection.countDocuments({ categoryId: { $in: [id, category._id] } }),
+      categoriesCollection.countDocuments({ parentId: category._id })
+    ]);
+    
+    if (productsWithCategory > 0 || childCategories > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot purge category. ${productsWithCategory} product(s) and ${childCategories} subcategory(ies), archived or not, still use it`
+      });
+    }
+    
+    await categoriesCollection.deleteOne({ _id: category._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category permanently deleted'
+    });
+    
+    console.log(`🗑️ Category purged: ${category.name} (${id}) by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error purging category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging category',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/form-data - Store form submission
+app.post('/api/form-data', publicFormLimiter.middleware(req => `form-data:ip:${req.ip}`), async (req, res) => {
+  try {
+    const { name, email, phoneNumber, orderDescription } = req.body;
+    
+    // Validation
+    if (!name || !email || !phoneNumber || !orderDescription) {
       return res.status(400).json({
         success: false,
         message: 'Name, email, phone number, and order description are required fields'
       });
     }
     
-    // Validate name length
-    if (name.length < 2 || name.length > 100) {
+    // Validate name length
+    if (name.length < 2 || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be between 2 and 100 characters'
+      });
+    }
+    
+    // Validate email format
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+    
+    // Validate phone number format
+    const phoneRegex = /^\+[1-9]\d{0,3}[-.\s]?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}$/;
+    if (!phoneRegex.test(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid international phone number with country code (e.g., +91-9876543210)'
+      });
+    }
+    
+    // Validate order description length
+    if (orderDescription.length < 10 || orderDescription.length > 10000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order description must be between 10 and 10000 characters'
+      });
+    }
+    
+    // Create new form submission object
+    const newFormData = {
+      name: name.trim(),
+      email: email.toLowerCase().trim(),
+      phoneNumber: phoneNumber.trim(),
+      orderDescription: orderDescription.trim(),
+      submittedAt: new Date(),
+      status: "new",
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    // Insert the form data into database
+    const result = await formDataCollection.insertOne(newFormData);
+    
+    // Get the inserted form data
+    const insertedFormData = await formDataCollection.findOne({ 
+      _id: result.insertedId 
+    });
+    
+    // Send success response
+    res.status(201).json({
+      success: true,
+      message: 'Form data submitted successfully',
+      data: insertedFormData
+    });
+    
+    console.log(`✅ New form submission from: ${email}`);
+    
+  } catch (error) {
+    console.error('Error storing form data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error storing form data',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/newsletter-emails - Store email subscription
+app.post('/api/newsletter-emails', publicFormLimiter.middleware(req => `newsletter:ip:${req.ip}`), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is required'
+      });
+    }
+    
+    // Validate email format
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+    
+    // Check if email already exists
+    const existingEmail = await newsletterEmailsCollection.findOne({ 
+      email: email.toLowerCase() 
+    });
+    
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already subscribed to our newsletter'
+      });
+    }
+    
+    // Create new email subscription object
+    const newEmailSubscription = {
+      email: email.toLowerCase().trim(),
+      subscribedAt: new Date(),
+      isActive: true,
+      source: "website",
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    // Insert the email subscription into database
+    const result = await newsletterEmailsCollection.insertOne(newEmailSubscription);
+    
+    // Send success response
+    res.status(201).json({
+      success: true,
+      message: 'Email address has been added successfully'
+    });
+    
+    console.log(`✅ New newsletter subscription: ${email}`);
+    
+  } catch (error) {
+    console.error('Error storing newsletter email:', error);
+    
+    // Handle duplicate email error from unique index
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already subscribed to our newsletter'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error storing email address',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// INVENTORY API ENDPOINTS
+// ===========================================
+// Every stock change is recorded in inventory_movements: which product (and variant), how much
+// (signed), the stock left afterwards, who made the change and why. Movement types:
+//   adjustment   - stock set or corrected by staff (product and variant edits, stock counts)
+//   order        - taken by a new order
+//   cancellation - given back by a cancelled order (also failed payments and expired holds)
+//   return       - given back by a refund, or returned goods put back on the shelf by staff
+//   import       - set by a bulk product import
+// Products can have a reorderThreshold: staff are emailed when stock (each variant's stock, for
+// products with variants) falls to or below it, and get a daily digest of everything that is.
+
+const INVENTORY_MOVEMENT_TYPES = ['adjustment', 'order', 'cancellation', 'return', 'import'];
+
+// Types staff can record by hand with POST /api/products/:id/inventory
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'return'];
+const MAX_MOVEMENTS_PER_PAGE = 100;
+const MAX_MOVEMENT_REASON_LENGTH = 500;
+
+// Enough of a product to describe its stock
+const STOCK_PROJECTION = { name: 1, sku: 1, stock: 1, reorderThreshold: 1, 'variants._id': 1, 'variants.sku': 1, 'variants.stock': 1 };
+
+// A product's variant by ID, or null
+const findVariant = (product, variantId) =>
+  (product.variants || []).find(candidate => candidate._id.equals(variantId)) || null;
+
+// Movement of quantity (signed) for a product, or one of its variants, as they are after the change
+const stockMovement = (product, variant, quantity, { type, reason = null, orderId = null, actor = null }) => ({
+  productId: product._id,
+  productName: product.name,
+  variantId: variant ? variant._id : null,
+  sku: (variant ? variant.sku : product.sku) || null,
+  type,
+  quantity,
+  stockAfter: variant ? variant.stock : product.stock,
+  reason,
+  orderId,
+  actor,
+  createdAt: new Date()
+});
+
+// Save movements (lines that didn't change stock are skipped) and email staff about stock that
+// just fell to or below its reorder threshold. The stock has already changed by the time this
+// runs, so errors are logged rather than thrown.
+async function recordStockMovements(movements) {
+  const changes = movements.filter(movement => movement.quantity !== 0);
+  if (changes.length === 0) {
+    return;
+  }
+  
+  try {
+    await inventoryMovementsCollection.insertMany(changes);
+    
+    const decreases = changes.filter(movement => movement.quantity < 0);
+    if (decreases.length === 0) {
+      return;
+    }
+    
+    const products = await productsCollection
+      .find({ _id: { $in: decreases.map(movement => movement.productId) } })
+      .project({ reorderThreshold: 1, 'variants._id': 1 })
+      .toArray();
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    
+    // Deleted variants (and purged products) don't need reordering
+    const crossed = decreases
+      .filter(movement => {
+        const product = productsById.get(movement.productId.toString());
+        return product && (!movement.variantId || findVariant(product, movement.variantId));
+      })
+      .map(movement => ({ ...movement, reorderThreshold: productsById.get(movement.productId.toString()).reorderThreshold }))
+      .filter(({ stockAfter, quantity, reorderThreshold }) =>
+        Number.isInteger(reorderThreshold) && stockAfter <= reorderThreshold && stockAfter - quantity > reorderThreshold
+      )
+      .map(({ productId, productName, variantId, sku, stockAfter, reorderThreshold }) =>
+        ({ productId, productName, variantId, sku, stock: stockAfter, reorderThreshold })
+      );
+      
+    if (crossed.length > 0) {
+      sendLowStockEmail('SM Furnishing - Low stock alert', 'Low Stock Alert', 'These items just reached their reorder threshold:', crossed)
+        .catch(error => console.error('Error sending low stock alert:', error.message));
+    }
+  } catch (error) {
+    console.error('Error recording inventory movements:', error);
+  }
+}
+
+// Addresses for inventory emails: INVENTORY_ALERT_EMAILS, otherwise every staff and admin account
+async function inventoryAlertRecipients() {
+  if (INVENTORY_ALERT_EMAILS.length > 0) {
+    return INVENTORY_ALERT_EMAILS;
+  }
+  
+  const staff = await usersCollection
+    .find({ role: { $in: ['staff', 'admin'] } })
+    .project({ email: 1 })
+    .toArray();
+  return staff.map(user => user.email);
+}
+
+// Email staff a list of low-stock items ({ productName, sku, stock, reorderThreshold }).
+// Returns false if there was no one to send it to.
+async function sendLowStockEmail(subject, heading, intro, items) {
+  const recipients = await inventoryAlertRecipients();
+  if (recipients.length === 0) {
+    console.log('⚠️ Low stock email not sent: no INVENTORY_ALERT_EMAILS and no staff accounts');
+    return false;
+  }
+  
+  const label = (item) => item.sku ? `${item.productName} (${item.sku})` : item.productName;
+  
+  await sendEmail({
+    to: recipients,
+    subject,
+    text: `${intro}\n\n${items.map(item => `- ${label(item)}: ${item.stock} in stock, reorder at ${item.reorderThreshold}`).join('\n')}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333; text-align: center;">${heading}</h2>
+        <p>${intro}</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr style="text-align: left; border-bottom: 1px solid #ddd;"><th>Item</th><th>In stock</th><th>Reorder at</th></tr>
+          ${items.map(item => `<tr style="border-bottom: 1px solid #eee;"><td>${escapeHtml(label(item))}</td><td>${item.stock}</td><td>${item.reorderThreshold}</td></tr>`).join('')}
+        </table>
+      </div>
+    `
+  });
+  
+  console.log(`📧 ${heading} sent to ${recipients.length} recipient(s) for ${items.length} item(s)`);
+  return true;
+}
+
+// Everything at or below its reorder threshold: one item per variant for products with variants.
+// Archived products are left out.
+async function findLowStockItems() {
+  const products = await productsCollection
+    .find({ ...NOT_ARCHIVED, reorderThreshold: { $ne: null } })
+    .project(STOCK_PROJECTION)
+    .sort({ name: 1 })
+    .toArray();
+    
+  return products.flatMap(product => {
+    const variants = product.variants || [];
+    const stockItems = variants.length > 0
+      ? variants.map(variant => ({ variantId: variant._id, sku: variant.sku, stock: variant.stock }))
+      : [{ variantId: null, sku: product.sku || null, stock: product.stock || 0 }];
+      
+    return stockItems
+      .filter(item => item.stock <= product.reorderThreshold)
+      .map(item => ({ productId: product._id, productName: product.name, ...item, reorderThreshold: product.reorderThreshold }));
+  });
+}
+
+// Send the daily low-stock digest if it's past LOW_STOCK_DIGEST_HOUR (UTC) and hasn't gone out
+// today. The day is claimed in low_stock_digests first, so several instances send it only once.
+async function sendLowStockDigestIfDue() {
+  const now = new Date();
+  if (now.getUTCHours() < LOW_STOCK_DIGEST_HOUR) {
+    return;
+  }
+  
+  const day = now.toISOString().slice(0, 10);
+  try {
+    await lowStockDigestsCollection.insertOne({ _id: day, createdAt: now });
+  } catch (error) {
+    if (error.code === 11000) {
+      return; // Already sent today
+    }
+    throw error;
+  }
+  
+  try {
+    const items = await findLowStockItems();
+    const sent = items.length > 0 && await sendLowStockEmail(
+      `SM Furnishing - Low stock digest for ${day}`,
+      'Daily Low Stock Digest',
+      `${items.length} item(s) are at or below their reorder threshold:`,
+      items
+    );
+    await lowStockDigestsCollection.updateOne({ _id: day }, { $set: { itemCount: items.length, sentAt: sent ? new Date() : null } });
+  } catch (error) {
+    // Give the day back so the next check tries again
+    await lowStockDigestsCollection.deleteOne({ _id: day });
+    throw error;
+  }
+}
+
+// GET /api/products/:id/inventory - Stock movement history for a product (newest first)
+app.get('/api/products/:id/inventory', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, variantId, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id) || (variantId && !ObjectId.isValid(variantId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID format'
+      });
+    }
+    
+    // Validation
+    if (type && !INVENTORY_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${INVENTORY_MOVEMENT_TYPES.join(', ')}`
+      });
+    }
+    
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_MOVEMENTS_PER_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `page must be a positive integer and limit between 1 and ${MAX_MOVEMENTS_PER_PAGE}`
+      });
+    }
+    
+    // Purged products have no document left, but their history is kept
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) }, { projection: STOCK_PROJECTION });
+    
+    const filter = {
+      productId: new ObjectId(id),
+      ...(type && { type }),
+      ...(variantId && { variantId: new ObjectId(variantId) })
+    };
+    const [totalMovements, movements] = await Promise.all([
+      inventoryMovementsCollection.countDocuments(filter),
+      inventoryMovementsCollection.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray()
+    ]);
+    
+    if (!product && totalMovements === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const totalPages = Math.ceil(totalMovements / pageSize);
+    
+    res.status(200).json({
+      success: true,
+      product: product,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_movements: totalMovements,
+        movements_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: movements.length,
+      data: movements
+    });
+    
+  } catch (error) {
+    console.error('Error fetching inventory history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/inventory - Adjust stock by hand (stock counts, damage, returned goods)
+app.post('/api/products/:id/inventory', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quantity, reason, variantId, type = 'adjustment' } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    // Validation
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity must be a whole number other than 0 (negative to take stock away)'
+      });
+    }
+    
+    if (typeof reason !== 'string' || !reason.trim() || reason.trim().length > MAX_MOVEMENT_REASON_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason of at most ${MAX_MOVEMENT_REASON_LENGTH} characters is required`
+      });
+    }
+    
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`
+      });
+    }
+    
+    if (type === 'return' && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Returns put stock back - quantity must be positive'
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id) }, { projection: STOCK_PROJECTION });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const resolved = resolveVariant(product, variantId);
+    if (!resolved.success) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message,
+        error: resolved.error
+      });
+    }
+    const { variant } = resolved;
+    
+    // Applied as an increment, and only if it leaves the stock at 0 or more
+    const updatedProduct = variant
+      ? await productsCollection.findOneAndUpdate(
+          { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: { $gte: -quantity } } } },
+          { $inc: { 'variants.$.stock': quantity, stock: quantity }, $set: { updatedAt: new Date() } },
+          { returnDocument: 'after', projection: STOCK_PROJECTION }
+        )
+      : await productsCollection.findOneAndUpdate(
+          { _id: product._id, 'variants.0': { $exists: false }, stock: { $gte: -quantity } },
+          { $inc: { stock: quantity }, $set: { updatedAt: new Date() } },
+          { returnDocument: 'after', projection: STOCK_PROJECTION }
+        );
+        
+    if (!updatedProduct) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableStock(product, variant)} in stock - stock can't go below 0`,
+        error: 'Insufficient stock'
+      });
+    }
+    
+    const movement = stockMovement(
+      updatedProduct,
+      variant && findVariant(updatedProduct, variant._id),
+      quantity,
+      { type, reason: reason.trim(), actor: requestActor(req) }
+    );
+    await recordStockMovements([movement]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: movement,
+      product: updatedProduct
+    });
+    
+    console.log(`📦 Stock ${quantity > 0 ? '+' : ''}${quantity} (${type}) for ${movement.sku || updatedProduct.name} by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting stock',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/low-stock - Everything at or below its reorder threshold
+app.get('/api/inventory/low-stock', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const items = await findLowStockItems();
+    
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+    
+  } catch (error) {
+    console.error('Error fetching low stock items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low stock items',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// PRICING API ENDPOINTS
+// ===========================================
+// price is a product's regular price; compareAtPrice (optional) is a higher "was" price to show
+// crossed out. Price rules put products on sale between startsAt and endsAt: a percent or a fixed
+// amount off, for a list of products or for a category and its subcategories. Rules never change
+// the stored price - product reads add effectivePrice and priceRule, and /api/cart/add snapshots
+// effectivePrice as priceAtTime. When several rules cover a product the lowest price wins; rules
+// don't stack. Every change to a stored price, a compareAtPrice or a rule goes to price_history.
+
+const PRICE_RULE_TYPES = ['percent', 'fixed'];
+const PRICE_RULE_FIELDS = ['name', 'type', 'value', 'productIds', 'categoryId', 'startsAt', 'endsAt'];
+const PRICE_RULE_STATUSES = ['active', 'scheduled', 'ended'];
+const MAX_PRICE_RULE_PRODUCTS = 500;
+const MAX_PRICE_HISTORY_PER_PAGE = 100;
+
+// Rules are re-read at most this often, and right after one is changed through the API
+const PRICE_RULES_TTL_MS = 60 * 1000;
+let priceRulesCache = { rules: [], loadedAt: 0 };
+
+// Rules that haven't ended yet. Category rules get categoryIds: the category and its subcategories.
+async function getPriceRules() {
+  if (Date.now() - priceRulesCache.loadedAt < PRICE_RULES_TTL_MS) {
+    return priceRulesCache.rules;
+  }
+  
+  const rules = await priceRulesCollection.find({ endsAt: { $gt: new Date() } }).toArray();
+  for (const rule of rules) {
+    const ids = rule.categoryId
+      ? [rule.categoryId, ...await getDescendantCategoryIds(rule.categoryId)]
+      : rule.productIds;
+    rule.coveredIds = new Set(ids.map(String));
+  }
+  
+  priceRulesCache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+// Price after a rule's discount, rounded to the paisa. null if the rule would take it to 0 or below.
+function discountedPrice(price, rule) {
+  const discounted = rule.type === 'percent' ? price * (1 - rule.value / 100) : price - rule.value;
+  const rounded = Math.round(discounted * 100) / 100;
+  return rounded > 0 ? rounded : null;
+}
+
+// Whether a rule covers a product (categoryId is stored as a string on products)
+const ruleCoversProduct = (rule, product) => rule.categoryId
+  ? Boolean(product.categoryId) && rule.coveredIds.has(product.categoryId.toString())
+  : rule.coveredIds.has(product._id.toString());
+
+// Rules running right now
+async function getActivePriceRules() {
+  const now = new Date();
+  return (await getPriceRules()).filter(rule => rule.startsAt <= now && rule.endsAt > now);
+}
+
+// Aggregation expression for a product's effectivePrice - the same result as withEffectivePrices:
+// the lowest of the price and each covering rule's discounted price that stays above 0
+function effectivePriceExpression(rules) {
+  const salePrices = rules.map(rule => {
+    const discounted = rule.type === 'percent'
+      ? { $multiply: ['$price', 1 - rule.value / 100] }
+      : { $subtract: ['$price', rule.value] };
+    // Rounded to the paisa like discountedPrice
+    const sale = { $divide: [{ $floor: { $add: [{ $multiply: [discounted, 100] }, 0.5] } }, 100] };
+    const covered = { $in: [{ $toString: rule.categoryId ? '$categoryId' : '$_id' }, [...rule.coveredIds]] };
+    
+    return { $let: { vars: { sale }, in: { $cond: [{ $and: [covered, { $gt: ['$$sale', 0] }] }, '$$sale', null] } } };
+  });
+  
+  // $min skips the nulls of rules that don't apply
+  return { $min: ['$price', ...salePrices] };
+}
+
+// Products with the prices they sell at right now: effectivePrice on the product and on each
+// variant, and priceRule ({ _id, name, type, value, endsAt }, or null when nothing is on sale)
+async function withEffectivePrices(products) {
+  const rules = await getActivePriceRules();
+  
+  return products.map(product => {
+    let best = null;
+    for (const rule of rules) {
+      const price = ruleCoversProduct(rule, product) ? discountedPrice(product.price, rule) : null;
+      if (price !== null && (!best || price < best.price)) {
+        best = { rule, price };
+      }
+    }
+    
+    // Variants get the same rule, applied to their own price
+    const salePrice = (price) => (best && discountedPrice(price, best.rule)) || price;
+    
+    return {
+      ...product,
+      effectivePrice: best ? best.price : product.price,
+      priceRule: best
+        ? { _id: best.rule._id, name: best.rule.name, type: best.rule.type, value: best.rule.value, endsAt: best.rule.endsAt }
+        : null,
+      ...(product.variants && {
+        variants: product.variants.map(variant => ({ ...variant, effectivePrice: salePrice(variantPrice(product, variant)) }))
+      })
+    };
+  });
+}
+
+// Single-product form of withEffectivePrices (null stays null)
+const withEffectivePrice = async (product) => product && (await withEffectivePrices([product]))[0];
+
+// A change to a stored price ('price' or 'compareAtPrice') of a product or one of its variants.
+// source is where it came from: product, variant or import.
+const priceChange = (product, variant, field, oldValue, newValue, { source, actor = null }) => ({
+  productId: product._id,
+  productName: product.name,
+  variantId: variant ? variant._id : null,
+  sku: (variant ? variant.sku : product.sku) || null,
+  priceRuleId: null,
+  field,
+  oldValue,
+  newValue,
+  source,
+  actor,
+  createdAt: new Date()
+});
+
+// price and compareAtPrice changes between two versions of a product (before is null for new ones)
+const productPriceChanges = (before, after, details) => ['price', 'compareAtPrice'].map(field =>
+  priceChange(
+    after,
+    null,
+    field,
+    before && before[field] !== undefined ? before[field] : null,
+    after[field] !== undefined ? after[field] : null,
+    details
+  )
+);
+
+// A rule as recorded in price history
+const priceRuleSnapshot = (rule) => rule && {
+  name: rule.name,
+  type: rule.type,
+  value: rule.value,
+  productIds: rule.productIds,
+  categoryId: rule.categoryId,
+  startsAt: rule.startsAt,
+  endsAt: rule.endsAt
+};
+
+// A rule being created (before is null), changed or deleted (after is null)
+const priceRuleChange = (ruleId, before, after, actor) => ({
+  productId: null,
+  productName: null,
+  variantId: null,
+  sku: null,
+  priceRuleId: ruleId,
+  field: 'priceRule',
+  oldValue: priceRuleSnapshot(before),
+  newValue: priceRuleSnapshot(after),
+  source: 'price_rule',
+  actor,
+  createdAt: new Date()
+});
+
+// Save price changes, skipping those that left the value as it was. The price has already
+// changed by the time this runs, so errors are logged rather than thrown.
+async function recordPriceChanges(changes) {
+  const realChanges = changes.filter(change => change.field === 'priceRule' || change.oldValue !== change.newValue);
+  if (realChanges.length === 0) {
+    return;
+  }
+  
+  try {
+    await priceHistoryCollection.insertMany(realChanges);
+  } catch (error) {
+    console.error('Error recording price history:', error);
+  }
+}
+
+// Validate price rule input for create, or only the provided fields when partial.
+// Returns an error message, or null if the input is valid. `current` is the stored rule when
+// updating, so new values can be checked against the ones that stay.
+async function validatePriceRuleInput(data, { partial = false, current = null } = {}) {
+  const { name, type, value, productIds, categoryId } = data;
+  
+  if (!partial && (!name || !type || value === undefined || !data.startsAt || !data.endsAt)) {
+    return 'Name, type, value, startsAt and endsAt are required fields';
+  }
+  
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  
+  if (type !== undefined && !PRICE_RULE_TYPES.includes(type)) {
+    return `Type must be one of: ${PRICE_RULE_TYPES.join(', ')}`;
+  }
+  
+  const effectiveType = type !== undefined ? type : current && current.type;
+  const effectiveValue = value !== undefined ? value : current && current.value;
+  if (typeof effectiveValue !== 'number' || effectiveValue <= 0 || (effectiveType === 'percent' && effectiveValue >= 100)) {
+    return effectiveType === 'percent'
+      ? 'Value must be a percentage above 0 and below 100'
+      : 'Value must be a positive amount';
+  }
+  
+  // A sale always ends - a permanent change belongs in the product's price
+  const startsAt = data.startsAt !== undefined ? new Date(data.startsAt) : current.startsAt;
+  const endsAt = data.endsAt !== undefined ? new Date(data.endsAt) : current.endsAt;
+  if (data.startsAt === null || data.endsAt === null || isNaN(startsAt) || isNaN(endsAt)) {
+    return 'startsAt and endsAt must be valid dates';
+  }
+  if (endsAt <= startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  
+  // Scope: a list of products or a category, never both
+  const hasProducts = Array.isArray(productIds) && productIds.length > 0;
+  if (hasProducts && categoryId) {
+    return 'Give either productIds or categoryId, not both';
+  }
+  if (!partial && !hasProducts && !categoryId) {
+    return 'Give the productIds or the categoryId the rule applies to';
+  }
+  
+  if (productIds !== undefined) {
+    if (!hasProducts || productIds.length > MAX_PRICE_RULE_PRODUCTS) {
+      return `productIds must be an array of 1 to ${MAX_PRICE_RULE_PRODUCTS} product IDs`;
+    }
+    if (productIds.some(productId => !ObjectId.isValid(productId))) {
+      return 'Invalid product ID format in productIds';
+    }
+    if (new Set(productIds.map(String)).size !== productIds.length) {
+      return 'productIds must not contain duplicates';
+    }
+    
+    const found = await productsCollection.countDocuments({ _id: { $in: productIds.map(productId => new ObjectId(productId)) }, ...NOT_ARCHIVED });
+    if (found !== productIds.length) {
+      return 'Some products in productIds do not exist or are archived';
+    }
+  }
+  
+  if (categoryId !== undefined) {
+    if (!categoryId || !ObjectId.isValid(categoryId)) {
+      return 'Invalid category ID format';
+    }
+    
+    const categoryExists = await categoriesCollection.findOne({ _id: new ObjectId(categoryId), ...NOT_ARCHIVED });
+    if (!categoryExists) {
+      return 'Invalid category ID';
+    }
+  }
+  
+  return null;
+}
+
+// Filter for rules by where they are in their date range
+const priceRuleStatusFilter = (status, now = new Date()) => ({
+  active: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+  scheduled: { startsAt: { $gt: now } },
+  ended: { endsAt: { $lte: now } }
+}[status]);
+
+// GET /api/price-rules - Price rules, latest start first (status: active, scheduled or ended)
+app.get('/api/price-rules', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    // Validation
+    if (status && !PRICE_RULE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${PRICE_RULE_STATUSES.join(', ')}`
+      });
+    }
+    
+    const rules = await priceRulesCollection
+      .find(status ? priceRuleStatusFilter(status) : {})
+      .sort({ startsAt: -1, _id: 1 })
+      .toArray();
+      
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+    
+  } catch (error) {
+    console.error('Error fetching price rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price rules',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/price-rules - Schedule a sale for some products or a category
+app.post('/api/price-rules', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { name, type, value, productIds, categoryId } = req.body;
+    
+    // Validation
+    const validationError = await validatePriceRuleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const newRule = {
+      name: name.trim(),
+      type: type,
+      value: value,
+      productIds: categoryId ? [] : productIds.map(productId => new ObjectId(productId)),
+      categoryId: categoryId ? new ObjectId(categoryId) : null,
+      startsAt: new Date(req.body.startsAt),
+      endsAt: new Date(req.body.endsAt),
+      createdBy: requestActor(req),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    const result = await priceRulesCollection.insertOne(newRule);
+    priceRulesCache.loadedAt = 0;
+    await recordPriceChanges([priceRuleChange(result.insertedId, null, newRule, requestActor(req))]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Price rule created successfully',
+      data: newRule
+    });
+    
+    console.log(`🏷️ Price rule added: ${newRule.name} (${newRule.value}${newRule.type === 'percent' ? '%' : ''} off) by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error creating price rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating price rule',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/price-rules/:id - Update a price rule (productIds or categoryId replaces the scope)
+app.patch('/api/price-rules/:id', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, value, productIds, categoryId } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid price rule ID format'
+      });
+    }
+    
+    if (!PRICE_RULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${PRICE_RULE_FIELDS.join(', ')}`
+      });
+    }
+    
+    const rule = await priceRulesCollection.findOne({ _id: new ObjectId(id) });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price rule not found'
+      });
+    }
+    
+    // Validation
+    const validationError = await validatePriceRuleInput(req.body, { partial: true, current: rule });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const updates = { updatedAt: new Date(), updatedBy: requestActor(req) };
+    if (name !== undefined) updates.name = name.trim();
+    if (type !== undefined) updates.type = type;
+    if (value !== undefined) updates.value = value;
+    if (productIds !== undefined) {
+      updates.productIds = productIds.map(productId => new ObjectId(productId));
+      updates.categoryId = null;
+    }
+    if (categoryId !== undefined) {
+      updates.categoryId = new ObjectId(categoryId);
+      updates.productIds = [];
+    }
+    if (req.body.startsAt !== undefined) updates.startsAt = new Date(req.body.startsAt);
+    if (req.body.endsAt !== undefined) updates.endsAt = new Date(req.body.endsAt);
+    
+    const updatedRule = await priceRulesCollection.findOneAndUpdate(
+      { _id: rule._id },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    priceRulesCache.loadedAt = 0;
+    await recordPriceChanges([priceRuleChange(rule._id, rule, updatedRule, requestActor(req))]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Price rule updated successfully',
+      data: updatedRule
+    });
+    
+    console.log(`✏️ Price rule updated: ${updatedRule.name} by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error updating price rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating price rule',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/price-rules/:id - Delete a price rule (a running sale ends at once)
+app.delete('/api/price-rules/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid price rule ID format'
+      });
+    }
+    
+    const rule = await priceRulesCollection.findOneAndDelete({ _id: new ObjectId(id) });
+    
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price rule not found'
+      });
+    }
+    
+    priceRulesCache.loadedAt = 0;
+    await recordPriceChanges([priceRuleChange(rule._id, rule, null, requestActor(req))]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Price rule deleted successfully'
+    });
+    
+    console.log(`🗑️ Price rule deleted: ${rule.name} by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error deleting price rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting price rule',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/price-history - Price changes, newest first (productId or priceRuleId to narrow it down)
+app.get('/api/price-history', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { productId, priceRuleId, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    
+    // Validate ID format
+    if ((productId && !ObjectId.isValid(productId)) || (priceRuleId && !ObjectId.isValid(priceRuleId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or price rule ID format'
+      });
+    }
+    
+    // Validation
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PRICE_HISTORY_PER_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `page must be a positive integer and limit between 1 and ${MAX_PRICE_HISTORY_PER_PAGE}`
+      });
+    }
+    
+    const filter = {
+      ...(productId && { productId: new ObjectId(productId) }),
+      ...(priceRuleId && { priceRuleId: new ObjectId(priceRuleId) })
+    };
+    const [totalChanges, changes] = await Promise.all([
+      priceHistoryCollection.countDocuments(filter),
+      priceHistoryCollection.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray()
+    ]);
+    
+    const totalPages = Math.ceil(totalChanges / pageSize);
+    
+    res.status(200).json({
+      success: true,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_changes: totalChanges,
+        changes_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: changes.length,
+      data: changes
+    });
+    
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price history',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// CURATED COLLECTIONS API ENDPOINTS
+// ===========================================
+// Hand-picked, ordered product lists ("Diwali Picks", "Monsoon Curtains") shown on the storefront
+// between startsAt and endsAt (either can be null for an open-ended range). Collections are
+// ordered by position, products by their order in productIds.
+
+const COLLECTION_FIELDS = ['name', 'description', 'productIds', 'startsAt', 'endsAt', 'position'];
+const MAX_COLLECTION_PRODUCTS = 100;
+
+// Collections whose date range includes now
+const activeCollectionFilter = (now = new Date()) => ({
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+  ]
+});
+
+// Staff and admins also see collections outside their date range
+const canManageCollections = (req) => Boolean(req.user) && ['staff', 'admin'].includes(req.user.role);
+
+// Parse an optional date field: undefined when absent, null when cleared, NaN date when invalid
+const parseOptionalDate = (value) => value === undefined ? undefined : (value === null || value === '' ? null : new Date(value));
+
+// Validate collection input for create, or only the provided fields when partial.
+// Returns an error message, or null if the input is valid. `current` is the stored collection
+// when updating, so a new startsAt can be checked against the existing endsAt and vice versa.
+async function validateCollectionInput(data, { partial = false, current = null } = {}) {
+  const { name, description, productIds, position } = data;
+  
+  if (!partial && !name) {
+    return 'Name is required field';
+  }
+  
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'Description must be a string';
+  }
+  
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return 'Position must be a non-negative integer';
+  }
+  
+  const startsAt = parseOptionalDate(data.startsAt);
+  const endsAt = parseOptionalDate(data.endsAt);
+  if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt))) {
+    return 'startsAt and endsAt must be valid dates';
+  }
+  
+  const effectiveStart = startsAt !== undefined ? startsAt : current && current.startsAt;
+  const effectiveEnd = endsAt !== undefined ? endsAt : current && current.endsAt;
+  if (effectiveStart && effectiveEnd && effectiveEnd <= effectiveStart) {
+    return 'endsAt must be after startsAt';
+  }
+  
+  if (productIds !== undefined) {
+    if (!Array.isArray(productIds) || productIds.length > MAX_COLLECTION_PRODUCTS) {
+      return `productIds must be an array of at most ${MAX_COLLECTION_PRODUCTS} product IDs`;
+    }
+    if (productIds.some(productId => !ObjectId.isValid(productId))) {
+      return 'Invalid product ID format in productIds';
+    }
+    if (new Set(productIds.map(String)).size !== productIds.length) {
+      return 'productIds must not contain duplicates';
+    }
+    
+    const found = await productsCollection.countDocuments({ _id: { $in: productIds.map(productId => new ObjectId(productId)) }, ...NOT_ARCHIVED });
+    if (found !== productIds.length) {
+      return 'Some products in productIds do not exist or are archived';
+    }
+  }
+  
+  return null;
+}
+
+// A collection with its products in collection order. Deleted and inactive products are left out.
+async function buildCollectionView(collection) {
+  const products = await withEffectivePrices(await productsCollection
+    .find({ _id: { $in: collection.productIds }, ...ACTIVE_PRODUCT_FILTER })
+    .toArray());
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  return {
+    ...collection,
+    products: collection.productIds.map(productId => productsById.get(productId.toString())).filter(Boolean)
+  };
+}
+
+// GET /api/collections - Active collections by position (staff/admin: includeInactive=true for all)
+app.get('/api/collections', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && canManageCollections(req);
+    const filter = includeInactive ? {} : activeCollectionFilter();
+    
+    const collections = await curatedCollectionsCollection
+      .find(filter)
+      .sort({ position: 1, createdAt: -1 })
+      .toArray();
+    
+    res.status(200).json({
+      success: true,
+      count: collections.length,
+      data: collections
+    });
+    
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/collections/by-slug/:slug - Active collection with its products (old slugs redirect)
+app.get('/api/collections/by-slug/:slug', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { doc: collection, redirect } = await findBySlug(curatedCollectionsCollection, req.params.slug);
+    
+    const isVisible = collection && (canManageCollections(req) ||
+      await curatedCollectionsCollection.countDocuments({ _id: collection._id, ...activeCollectionFilter() }) > 0);
+    
+    if (!isVisible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    if (redirect) {
+      return sendSlugRedirect(res, `/api/collections/by-slug/${collection.slug}`, collection.slug);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await buildCollectionView(collection)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/collections/:id - Active collection with its products
+app.get('/api/collections/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID format'
+      });
+    }
+    
+    const collection = await curatedCollectionsCollection.findOne({
+      _id: new ObjectId(id),
+      ...(!canManageCollections(req) && activeCollectionFilter())
+    });
+    
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: await buildCollectionView(collection)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/collections - Create a curated collection
+app.post('/api/collections', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { name, description, productIds = [], position = 0 } = req.body;
+    
+    // Validation
+    const validationError = await validateCollectionInput({ ...req.body, productIds, position });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const newCollection = {
+      name: name.trim(),
+      slug: await generateUniqueSlug(curatedCollectionsCollection, name.trim()),
+      description: description ? description.trim() : "",
+      productIds: productIds.map(productId => new ObjectId(productId)),
+      startsAt: parseOptionalDate(req.body.startsAt) || null,
+      endsAt: parseOptionalDate(req.body.endsAt) || null,
+      position: position,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    const result = await curatedCollectionsCollection.insertOne(newCollection);
+    newCollection._id = result.insertedId;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: newCollection
+    });
+    
+    console.log(`✅ New collection added: ${newCollection.name}`);
+    
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating collection',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/collections/:id - Update a collection (productIds replaces the whole ordered list)
+app.patch('/api/collections/:id', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, productIds, position } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID format'
+      });
+    }
+    
+    if (!COLLECTION_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${COLLECTION_FIELDS.join(', ')}`
+      });
+    }
+    
+    const collection = await curatedCollectionsCollection.findOne({ _id: new ObjectId(id) });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    // Validation
+    const validationError = await validateCollectionInput(req.body, { partial: true, current: collection });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const updates = { updatedAt: new Date() };
+    if (name !== undefined && name.trim() !== collection.name) {
+      updates.name = name.trim();
+      Object.assign(updates, await slugFieldsForRename(curatedCollectionsCollection, collection, updates.name));
+    }
+    if (description !== undefined) updates.description = description ? description.trim() : "";
+    if (productIds !== undefined) updates.productIds = productIds.map(productId => new ObjectId(productId));
+    if (req.body.startsAt !== undefined) updates.startsAt = parseOptionalDate(req.body.startsAt);
+    if (req.body.endsAt !== undefined) updates.endsAt = parseOptionalDate(req.body.endsAt);
+    if (position !== undefined) updates.position = position;
+    
+    const updatedCollection = await curatedCollectionsCollection.findOneAndUpdate(
+      { _id: collection._id },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: updatedCollection
+    });
+    
+    console.log(`✏️ Collection updated: ${updatedCollection.name}`);
+    
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating collection',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/collections/:id - Delete a collection (its products are untouched)
+app.delete('/api/collections/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection ID format'
+      });
+    }
+    
+    const result = await curatedCollectionsCollection.deleteOne({ _id: new ObjectId(id) });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+    
+    console.log(`🗑️ Collection deleted: ${id}`);
+    
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting collection',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// REVIEWS API ENDPOINTS
+// ===========================================
+// Only customers with a completed order for a product can review it. New reviews wait for
+// moderation; only approved reviews are public and count towards the product's rating.
+
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+const MAX_REVIEW_PHOTOS = 5;
+const MAX_REVIEWS_PER_PAGE = 50;
+
+// Sort options for GET /api/products/:id/reviews
+const REVIEW_SORTS = {
+  recent: { createdAt: -1, _id: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: 1 },
+  rating_high: { rating: -1, createdAt: -1, _id: 1 },
+  rating_low: { rating: 1, createdAt: -1, _id: 1 }
+};
+
+// Voter IDs stay private
+const PUBLIC_REVIEW_PROJECTION = { helpfulVoterIds: 0 };
+
+// A completed order placed from this account that contains the product, or null. Only completions
+// staff recorded, or orders with a verified payment, count - older orders could set their own status.
+const findCompletedOrderFor = (user, productId) => newOrdersCollection.findOne(
+  {
+    status: 'completed',
+    is_deleted: { $ne: true },
+    'items.product_id': productId,
+    'user.user_id': new ObjectId(user.userId),
+    $or: [
+      { completed_by: { $ne: null } },
+      { 'payment.verified_via': { $ne: null } }
+    ]
+  },
+  { projection: { order_id: 1 } }
+);
+
+// Recompute a product's rating and review count from its approved reviews
+async function refreshProductRating(productId) {
+  const [stats] = await reviewsCollection.aggregate([
+    { $match: { productId, status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]).toArray();
+  
+  await productsCollection.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        reviewCount: stats ? stats.count : 0
+      }
+    }
+  );
+}
+
+// Validate review input. Fields may arrive as strings from a multipart form.
+// Returns an error message, or null if the input is valid.
+function validateReviewInput({ rating, title, text }) {
+  if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+    return 'Rating must be a whole number from 1 to 5';
+  }
+  
+  if (title !== undefined && (typeof title !== 'string' || title.trim().length > 120)) {
+    return 'Title must be at most 120 characters';
+  }
+  
+  if (typeof text !== 'string' || text.trim().length < 10 || text.trim().length > 5000) {
+    return 'Review text must be between 10 and 5000 characters';
+  }
+  
+  return null;
+}
+
+// POST /api/products/:id/reviews - Review a product you bought (JSON, or multipart with up to 5 "photos")
+app.post('/api/products/:id/reviews', authenticateToken, uploadImages('photos', MAX_REVIEW_PHOTOS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, title, text } = req.body;
+    const files = req.files || [];
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    // Validation
+    const validationError = validateReviewInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const product = await productsCollection.findOne({ _id: new ObjectId(id), ...NOT_ARCHIVED }, { projection: { name: 1 } });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const userId = new ObjectId(req.user.userId);
+    
+    if (await reviewsCollection.findOne({ productId: product._id, userId })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+    
+    // Verified buyers only
+    const order = await findCompletedOrderFor(req.user, id);
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers with a completed order for this product can review it',
+        error: 'Not a verified buyer'
+      });
+    }
+    
+    // Process every photo before storing any
+    const processed = [];
+    for (const file of files) {
+      try {
+        processed.push(await processImageUpload(file.buffer));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${file.originalname} is not a valid image`,
+          error: error.message
+        });
+      }
+    }
+    
+    const reviewId = new ObjectId();
+    const photos = [];
+    for (const result of processed) {
+      photos.push(await storeProcessedImage(`reviews/${reviewId}`, result));
+    }
+    
+    const newReview = {
+      _id: reviewId,
+      productId: product._id,
+      userId: userId,
+      userName: req.user.name,
+      orderId: order.order_id,
+      rating: Number(rating),
+      title: title ? title.trim() : "",
+      text: text.trim(),
+      photos: photos,
+      status: 'pending',
+      helpfulCount: 0,
+      helpfulVoterIds: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    await reviewsCollection.insertOne(newReview);
+    delete newReview.helpfulVoterIds;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your review! It will appear once it has been approved.',
+      data: newReview
+    });
+    
+    console.log(`⭐ New review for ${product.name} by ${req.user.email} (${newReview.rating}/5)`);
+    
+  } catch (error) {
+    console.error('Error creating review:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating review',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/:id/reviews - Approved reviews with a rating summary (sort, page, limit)
+app.get('/api/products/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sort = 'recent', page = 1, limit = 10 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`
+      });
+    }
+    
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_REVIEWS_PER_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `page must be a positive integer and limit between 1 and ${MAX_REVIEWS_PER_PAGE}`
+      });
+    }
+    
+    const product = await productsCollection.findOne(
+      { _id: new ObjectId(id), ...NOT_ARCHIVED },
+      { projection: { ratingAverage: 1, reviewCount: 1 } }
+    );
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const filter = { productId: product._id, status: 'approved' };
+    
+    const [totalReviews, reviews, ratingCounts] = await Promise.all([
+      reviewsCollection.countDocuments(filter),
+      reviewsCollection.find(filter)
+        .project(PUBLIC_REVIEW_PROJECTION)
+        .sort(REVIEW_SORTS[sort])
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray(),
+      reviewsCollection.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    // Number of reviews per star rating, 1 to 5
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    ratingCounts.forEach(bucket => { distribution[bucket._id] = bucket.count; });
+    
+    const totalPages = Math.ceil(totalReviews / pageSize);
+    
+    res.status(200).json({
+      success: true,
+      summary: {
+        ratingAverage: product.ratingAverage || 0,
+        reviewCount: product.reviewCount || 0,
+        distribution: distribution
+      },
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_reviews: totalReviews,
+        reviews_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: reviews.length,
+      data: reviews
+    });
+    
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/reviews - Moderation queue (status, default pending; page, limit)
+app.get('/api/reviews', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    
+    if (!REVIEW_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Name must be between 2 and 100 characters'
+        message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
       });
     }
     
-    // Validate email format
-    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    if (!emailRegex.test(email)) {
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_REVIEWS_PER_PAGE) {
       return res.status(400).json({
         success: false,
-        message: 'Please enter a valid email address'
+        message: `page must be a positive integer and limit between 1 and ${MAX_REVIEWS_PER_PAGE}`
       });
     }
     
-    // Validate phone number format
-    const phoneRegex = /^\+[1-9]\d{0,3}[-.\s]?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}$/;
-    if (!phoneRegex.test(phoneNumber)) {
+    const filter = { status };
+    const [totalReviews, reviews] = await Promise.all([
+      reviewsCollection.countDocuments(filter),
+      reviewsCollection.find(filter)
+        .project(PUBLIC_REVIEW_PROJECTION)
+        .sort({ createdAt: 1 }) // Oldest first, so the queue is worked in order
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .toArray()
+    ]);
+    
+    const totalPages = Math.ceil(totalReviews / pageSize);
+    
+    res.status(200).json({
+      success: true,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_reviews: totalReviews,
+        reviews_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: reviews.length,
+      data: reviews
+    });
+    
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/reviews/:id/status - Approve or hide a review
+app.put('/api/reviews/:id/status', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, moderationNote } = req.body;
+    
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Please enter a valid international phone number with country code (e.g., +91-9876543210)'
+        message: 'Invalid review ID format'
       });
     }
     
-    // Validate order description length
-    if (orderDescription.length < 10 || orderDescription.length > 10000) {
+    if (!['approved', 'hidden'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Order description must be between 10 and 10000 characters'
+        message: 'status must be approved or hidden'
       });
     }
     
-    // Create new form submission object
-    const newFormData = {
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      phoneNumber: phoneNumber.trim(),
-      orderDescription: orderDescription.trim(),
-      submittedAt: new Date(),
-      status: "new",
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const review = await reviewsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          status,
+          moderationNote: moderationNote ? String(moderationNote).trim() : null,
+          moderatedBy: new ObjectId(req.user.userId),
+          moderatedAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after', projection: PUBLIC_REVIEW_PROJECTION }
+    );
     
-    // Insert the form data into database
-    const result = await formDataCollection.insertOne(newFormData);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
     
-    // Get the inserted form data
-    const insertedFormData = await formDataCollection.findOne({ 
-      _id: result.insertedId 
-    });
+    await refreshProductRating(review.productId);
     
-    // Send success response
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Form data submitted successfully',
-      data: insertedFormData
+      message: `Review ${status}`,
+      data: review
     });
     
-    console.log(`✅ New form submission from: ${email}`);
+    console.log(`🛡️ Review ${id} ${status} by ${req.user.email}`);
     
   } catch (error) {
-    console.error('Error storing form data:', error);
+    console.error('Error moderating review:', error);
     res.status(500).json({
       success: false,
-      message: 'Error storing form data',
+      message: 'Error moderating review',
       error: error.message
     });
   }
 });
 
-// POST /api/newsletter-emails - Store email subscription
-app.post('/api/newsletter-emails', async (req, res) => {
+// POST /api/reviews/:id/helpful - Mark an approved review as helpful (once per user, not your own)
+app.post('/api/reviews/:id/helpful', authenticateToken, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { id } = req.params;
+    const userId = new ObjectId(req.user.userId);
     
-    // Validation
-    if (!email) {
+    // Validate ID format
+    if (!ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Email address is required'
+        message: 'Invalid review ID format'
       });
     }
     
-    // Validate email format
-    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    if (!emailRegex.test(email)) {
+    const review = await reviewsCollection.findOne({ _id: new ObjectId(id), status: 'approved' });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+    
+    if (review.userId.equals(userId)) {
       return res.status(400).json({
         success: false,
-        message: 'Please enter a valid email address'
+        message: 'You cannot vote on your own review'
       });
     }
     
-    // Check if email already exists
-    const existingEmail = await newsletterEmailsCollection.findOne({ 
-      email: email.toLowerCase() 
+    // The voter check is part of the update, so concurrent clicks count once
+    const result = await reviewsCollection.updateOne(
+      { _id: review._id, helpfulVoterIds: { $ne: userId } },
+      { $addToSet: { helpfulVoterIds: userId }, $inc: { helpfulCount: 1 } }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'Thanks for your feedback' : 'You already found this review helpful',
+      helpfulCount: review.helpfulCount + result.modifiedCount
     });
     
-    if (existingEmail) {
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error voting on review',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// SEARCH API ENDPOINTS
+// ===========================================
+
+// Active, unarchived products only - missing status counts as active, like isProductActive
+const ACTIVE_PRODUCT_FILTER = { ...NOT_ARCHIVED, status: { $in: [null, /^active$/i] } };
+const MAX_SEARCH_RESULTS_PER_PAGE = 50;
+
+// Words from product and category names, used to correct misspelt queries.
+// Cached for a few minutes so a search doesn't scan the catalog every time.
+const SEARCH_VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let searchVocabulary = { words: new Set(), loadedAt: 0 };
+
+async function getSearchVocabulary() {
+  if (Date.now() - searchVocabulary.loadedAt < SEARCH_VOCABULARY_TTL_MS) {
+    return searchVocabulary.words;
+  }
+  
+  const [productNames, categoryNames] = await Promise.all([
+    productsCollection.distinct('name'),
+    categoriesCollection.distinct('name')
+  ]);
+  
+  const words = new Set();
+  [...productNames, ...categoryNames].forEach(name => {
+    tokenize(name).filter(word => word.length >= 3).forEach(word => words.add(word));
+  });
+  
+  searchVocabulary = { words, loadedAt: Date.now() };
+  return words;
+}
+
+// Run a relevance-ranked text search for the given terms
+async function runProductSearch(terms, skip, limit) {
+  const filter = { $text: { $search: terms.join(' ') }, ...ACTIVE_PRODUCT_FILTER };
+  
+  const [total, products] = await Promise.all([
+    productsCollection.countDocuments(filter),
+    productsCollection.find(filter)
+      .project({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray()
+  ]);
+  
+  return { total, products: await withEffectivePrices(products) };
+}
+
+// GET /api/search?q= - Search products by name, description and category name, best match first
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const terms = tokenize(q);
+    
+    // Validation
+    if (terms.length === 0 || String(q).length > 100) {
       return res.status(400).json({
         success: false,
-        message: 'This email address is already subscribed to our newsletter'
+        message: 'Search query (q) is required and must be at most 100 characters'
       });
     }
     
-    // Create new email subscription object
-    const newEmailSubscription = {
-      email: email.toLowerCase().trim(),
-      subscribedAt: new Date(),
-      isActive: true,
-      source: "website",
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'page must be a positive integer'
+      });
+    }
     
-    // Insert the email subscription into database
-    const result = await newsletterEmailsCollection.insertOne(newEmailSubscription);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_RESULTS_PER_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS_PER_PAGE}`
+      });
+    }
     
-    // Send success response
-    res.status(201).json({
+    const skip = (pageNumber - 1) * pageSize;
+    let result = await runProductSearch(expandWithSynonyms(terms), skip, pageSize);
+    let didYouMean = null;
+    
+    // Nothing found - retry once with misspelt words replaced by the closest catalog word
+    if (result.total === 0) {
+      const vocabulary = await getSearchVocabulary();
+      const corrected = terms.map(term => correctTerm(term, vocabulary));
+      
+      if (corrected.some((term, index) => term !== terms[index])) {
+        result = await runProductSearch(expandWithSynonyms(corrected), skip, pageSize);
+        if (result.total > 0) {
+          didYouMean = corrected.join(' ');
+        }
+      }
+    }
+    
+    // Calculate pagination info
+    const totalPages = Math.ceil(result.total / pageSize);
+    
+    res.status(200).json({
       success: true,
-      message: 'Email address has been added successfully'
+      query: q,
+      didYouMean: didYouMean,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: totalPages,
+        total_products: result.total,
+        products_per_page: pageSize,
+        has_next_page: pageNumber < totalPages,
+        has_previous_page: pageNumber > 1
+      },
+      count: result.products.length,
+      data: result.products
     });
     
-    console.log(`✅ New newsletter subscription: ${email}`);
+    console.log(`🔍 Search "${q}" - ${result.total} results${didYouMean ? ` (did you mean "${didYouMean}")` : ''}`);
     
   } catch (error) {
-    console.error('Error storing newsletter email:', error);
+    console.error('Error searching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/search/suggest?q= - Type-ahead: product and category names with a word starting with q
+app.get('/api/search/suggest', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().toLowerCase();
     
-    // Handle duplicate email error from unique index
-    if (error.code === 11000) {
+    // Validation
+    if (!query || query.length > 50) {
       return res.status(400).json({
         success: false,
-        message: 'This email address is already subscribed to our newsletter'
+        message: 'Search query (q) is required and must be at most 50 characters'
       });
     }
     
+    // "couch" should also suggest sofas
+    const prefixes = [query, ...expandWithSynonyms([query]).slice(1)];
+    const pattern = new RegExp(`(^|\\s)(${prefixes.map(escapeRegex).join('|')})`, 'i');
+    
+    const [products, categories] = await Promise.all([
+      productsCollection.find({ name: pattern, ...ACTIVE_PRODUCT_FILTER })
+        .project({ name: 1, slug: 1, price: 1, categoryId: 1, imageUrl: 1 })
+        .sort({ name: 1 })
+        .limit(8)
+        .toArray(),
+      categoriesCollection.find({ name: pattern, ...NOT_ARCHIVED })
+        .project({ name: 1, slug: 1 })
+        .sort({ name: 1 })
+        .limit(5)
+        .toArray()
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      query: query,
+      suggestions: {
+        products: await withEffectivePrices(products),
+        categories: categories
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
     res.status(500).json({
       success: false,
-      message: 'Error storing email address',
+      message: 'Error fetching search suggestions',
       error: error.message
     });
   }
-});
+});
+
+// ===========================================
+// CART API ENDPOINTS
+// ===========================================
+
+// Guest carts expire this long after their last change
+const GUEST_CART_TTL_DAYS = 30;
+
+// Guest tokens are signed like access tokens but only identify an anonymous cart
+const issueGuestToken = (guestId) =>
+  jwt.sign({ guestId, type: 'guest' }, JWT_SECRET, { expiresIn: `${GUEST_CART_TTL_DAYS}d` });
+
+// Returns the guest ID from a valid guest token, or null
+const verifyGuestToken = (guestToken) => {
+  try {
+    const decoded = jwt.verify(guestToken, JWT_SECRET);
+    return decoded.type === 'guest' && decoded.guestId ? decoded.guestId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cart owner middleware: logged-in users are identified by their access token, visitors by
+// a guest token in the X-Guest-Token header. Visitors without one get a new guest identity.
+// Guests receive a refreshed guest token with every cart response.
+const identifyCartOwner = (req, res, next) => {
+  if (req.headers['authorization']) {
+    return authenticateToken(req, res, () => {
+      req.cartOwner = { userId: new ObjectId(req.user.userId), label: `User: ${req.user.email}` };
+      next();
+    });
+  }
+  
+  let guestId;
+  const guestToken = req.headers['x-guest-token'];
+  
+  if (guestToken) {
+    guestId = verifyGuestToken(guestToken);
+    if (!guestId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired guest token.',
+        error: 'Authentication failed'
+      });
+    }
+  } else {
+    guestId = crypto.randomUUID();
+  }
+  
+  req.cartOwner = { guestId, guestToken: issueGuestToken(guestId), label: `Guest: ${guestId}` };
+  next();
+};
+
+// Query fields selecting the owner's cart
+const cartOwnerFilter = (owner) => owner.userId ? { userId: owner.userId } : { guestId: owner.guestId };
+
+// Push a guest cart's expiry out on every change (TTL index on expiresAt)
+const touchGuestCart = (cart, owner) => {
+  if (owner.guestId) {
+    cart.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+};
+
+// A cart line is one product, or one variant of a product
+const isSameCartLine = (item, productId, variantId) =>
+  item.productId.toString() === productId.toString() &&
+  (item.variantId ? item.variantId.toString() : null) === (variantId ? variantId.toString() : null);
+
+// Snapshot of a product (or one of its variants) for a cart line. The product must come from
+// withEffectivePrices, so a running sale is what the line is priced at.
+const buildCartLine = (product, variant, quantity) => ({
+  productId: product._id,
+  variantId: variant ? variant._id : null,
+  sku: variant ? variant.sku : null,
+  variantAttributes: variant ? variant.attributes : null,
+  productName: product.name,
+  productImage: (variant && variant.imageUrl) || product.imageUrl || '',
+  quantity: quantity,
+  priceAtTime: (variant || product).effectivePrice,
+  addedAt: new Date()
+});
+
+// Merge a guest cart into the user's active cart after login/signup. Quantities are summed and
+// capped at current stock, prices are re-snapshotted, and the guest cart is removed.
+// Returns a summary, or null when there was nothing to merge.
+async function mergeGuestCart(guestToken, userId) {
+  const guestId = guestToken && verifyGuestToken(guestToken);
+  if (!guestId) {
+    return null;
+  }
+  
+  const guestCart = await cartCollection.findOne({ guestId, status: 'active' });
+  if (!guestCart) {
+    return null;
+  }
+  
+  let cart = await cartCollection.findOne({ userId, status: 'active' });
+  if (!cart) {
+    cart = {
+      userId,
+      items: [],
+      totalAmount: 0,
+      totalItems: 0,
+      status: 'active',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+  
+  const summary = { mergedItems: 0, adjustedItems: [], skippedItems: [] };
+  
+  for (const guestItem of guestCart.items) {
+    const product = await withEffectivePrice(await productsCollection.findOne({ _id: guestItem.productId, ...NOT_ARCHIVED }));
+    const resolved = product ? resolveVariant(product, guestItem.variantId) : null;
+    const variant = resolved && resolved.success ? resolved.variant : null;
+    
+    if (!resolved || !resolved.success || availableStock(product, variant) <= 0) {
+      summary.skippedItems.push({
+        productId: guestItem.productId,
+        variantId: guestItem.variantId || null,
+        productName: guestItem.productName,
+        reason: 'unavailable'
+      });
+      continue;
+    }
+    
+    const existingIndex = cart.items.findIndex(item => isSameCartLine(item, guestItem.productId, guestItem.variantId));
+    const requestedQuantity = guestItem.quantity + (existingIndex >= 0 ? cart.items[existingIndex].quantity : 0);
+    const quantity = Math.min(requestedQuantity, availableStock(product, variant));
+    
+    if (quantity < requestedQuantity) {
+      summary.adjustedItems.push({
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        productName: product.name,
+        requested: requestedQuantity,
+        quantity
+      });
+    }
+    
+    // Re-snapshot name, image and price from the live product
+    if (existingIndex >= 0) {
+      cart.items[existingIndex] = buildCartLine(product, variant, quantity);
+    } else {
+      cart.items.push(buildCartLine(product, variant, quantity));
+    }
+    summary.mergedItems++;
+  }
+  
+  // Recalculate totals
+  cart.totalAmount = cart.items.reduce((total, item) =>
+    total + (item.priceAtTime * item.quantity), 0
+  );
+  cart.totalItems = cart.items.reduce((total, item) =>
+    total + item.quantity, 0
+  );
+  cart.updatedAt = new Date();
+  
+  // Save cart
+  if (cart._id) {
+    await cartCollection.replaceOne({ _id: cart._id }, cart);
+  } else {
+    await cartCollection.insertOne(cart);
+  }
+  await cartCollection.deleteOne({ _id: guestCart._id });
+  
+  console.log(`🛒 Merged guest cart ${guestId} into cart of user ${userId} (${summary.mergedItems} items)`);
+  
+  return summary;
+}
 
-// ===========================================
-// CART API ENDPOINTS
-// ===========================================
+// Merge the guest cart named in a login/signup request (guestToken body field or X-Guest-Token
+// header). A failed merge must never fail the login itself.
+async function mergeGuestCartSafely(req, userId) {
+  try {
+    return await mergeGuestCart(req.body.guestToken || req.headers['x-guest-token'], userId);
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+    return null;
+  }
+}
+
+// Flag cart lines whose product was archived (or purged) since it was added, like the wishlist
+// does. The flags are worked out on every read and never stored.
+async function markUnavailableCartLines(cart) {
+  const products = await productsCollection
+    .find({ _id: { $in: cart.items.map(item => item.productId) } })
+    .project({ deletedAt: 1 })
+    .toArray();
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  const items = cart.items.map(item => {
+    const product = productsById.get(item.productId.toString());
+    const unavailableReason = !product ? 'deleted' : (product.deletedAt ? 'archived' : null);
+    return { ...item, isAvailable: unavailableReason === null, unavailableReason: unavailableReason };
+  });
+  
+  return { ...cart, items, hasUnavailableItems: items.some(item => !item.isAvailable) };
+}
 
-// GET /api/cart - Get user's cart
-app.get('/api/cart', authenticateToken, async (req, res) => {
+// GET /api/cart - Get user's or guest's cart
+app.get('/api/cart', identifyCartOwner, async (req, res) => {
   try {
-    const userId = new ObjectId(req.user.userId);
+    const ownerFilter = cartOwnerFilter(req.cartOwner);
     
     // Find user's cart
-    let cart = await cartCollection.findOne({ userId, status: 'active' });
+    let cart = await cartCollection.findOne({ ...ownerFilter, status: 'active' });
     
-    // If no cart exists, create an empty one
+    // If no cart exists, create an empty one (guest carts are only saved once they hold items)
     if (!cart) {
       cart = {
-        userId,
+        ...ownerFilter,
         items: [],
         totalAmount: 0,
         totalItems: 0,
@@ -1505,14 +7643,17 @@ app.get('/api/cart', authenticateToken, async (req, res) => {
         updatedAt: new Date()
       };
       
-      const result = await cartCollection.insertOne(cart);
-      cart._id = result.insertedId;
+      if (req.cartOwner.userId) {
+        const result = await cartCollection.insertOne(cart);
+        cart._id = result.insertedId;
+      }
     }
     
     res.status(200).json({
       success: true,
       message: 'Cart retrieved successfully',
-      cart: cart
+      cart: await markUnavailableCartLines(cart),
+      ...(req.cartOwner.guestToken && { guestToken: req.cartOwner.guestToken })
     });
     
   } catch (error) {
@@ -1525,121 +7666,131 @@ app.get('/api/cart', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/cart/add - Add item to cart
-app.post('/api/cart/add', authenticateToken, async (req, res) => {
-  try {
-    const { productId, quantity } = req.body;
-    const userId = new ObjectId(req.user.userId);
-    
-    // Validation
-    if (!productId || !quantity) {
-      return res.status(400).json({
-        success: false,
-        message: 'Product ID and quantity are required',
-        error: 'Missing required fields'
-      });
-    }
+// Add a product (or one of its variants) to the owner's active cart with the stock checks shared
+// by /api/cart/add and wishlist "move to cart". Returns { success: true, cart, product } or
+// { success: false, status, message, error }
+async function addItemToCart(owner, productId, quantity, variantId = null) {
+  const ownerFilter = cartOwnerFilter(owner);
+  
+  // Validation
+  if (!productId || !quantity) {
+    return { success: false, status: 400, message: 'Product ID and quantity are required', error: 'Missing required fields' };
+  }
+  
+  if (quantity <= 0) {
+    return { success: false, status: 400, message: 'Quantity must be greater than 0', error: 'Invalid quantity' };
+  }
+  
+  if (!ObjectId.isValid(productId)) {
+    return { success: false, status: 400, message: 'Invalid product ID format', error: 'Invalid ObjectId' };
+  }
+  
+  // Check if product exists (archived products can't be bought)
+  const product = await withEffectivePrice(await productsCollection.findOne({ _id: new ObjectId(productId), ...NOT_ARCHIVED }));
+  if (!product) {
+    return { success: false, status: 404, message: 'Product not found', error: 'Product does not exist' };
+  }
+  
+  // Products with variants are added (and stock-checked) per variant
+  const resolved = resolveVariant(product, variantId);
+  if (!resolved.success) {
+    return resolved;
+  }
+  const { variant } = resolved;
+  const stock = availableStock(product, variant);
+  
+  // Check stock availability
+  if (stock < quantity) {
+    return { success: false, status: 400, message: `Only ${stock} items available in stock`, error: 'Insufficient stock' };
+  }
+  
+  // Find or create cart
+  let cart = await cartCollection.findOne({ ...ownerFilter, status: 'active' });
+  
+  if (!cart) {
+    // Create new cart
+    cart = {
+      ...ownerFilter,
+      items: [],
+      totalAmount: 0,
+      totalItems: 0,
+      status: 'active',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+  
+  // Check if item already exists in cart
+  const existingItemIndex = cart.items.findIndex(item => 
+    isSameCartLine(item, productId, variant && variant._id)
+  );
+  
+  if (existingItemIndex >= 0) {
+    // Update existing item quantity
+    const newQuantity = cart.items[existingItemIndex].quantity + quantity;
     
-    if (quantity <= 0) {
-      return res.status(400).json({
+    // Check total stock for updated quantity
+    if (stock < newQuantity) {
+      return {
         success: false,
-        message: 'Quantity must be greater than 0',
-        error: 'Invalid quantity'
-      });
+        status: 400,
+        message: `Cannot add ${quantity} items. Only ${stock - cart.items[existingItemIndex].quantity} more available`,
+        error: 'Insufficient stock for total quantity'
+      };
     }
     
-    // Check if product exists
-    const product = await productsCollection.findOne({ _id: new ObjectId(productId) });
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found',
-        error: 'Product does not exist'
-      });
-    }
+    // Re-snapshot the price too, so a sale that started (or ended) since applies to the whole line
+    cart.items[existingItemIndex].quantity = newQuantity;
+    cart.items[existingItemIndex].priceAtTime = (variant || product).effectivePrice;
+    cart.items[existingItemIndex].addedAt = new Date();
+  } else {
+    // Add new item to cart
+    cart.items.push(buildCartLine(product, variant, quantity));
+  }
+  
+  // Recalculate totals
+  cart.totalAmount = cart.items.reduce((total, item) => 
+    total + (item.priceAtTime * item.quantity), 0
+  );
+  cart.totalItems = cart.items.reduce((total, item) => 
+    total + item.quantity, 0
+  );
+  cart.updatedAt = new Date();
+  touchGuestCart(cart, owner);
+  
+  // Save cart
+  if (cart._id) {
+    await cartCollection.replaceOne({ _id: cart._id }, cart);
+  } else {
+    const result = await cartCollection.insertOne(cart);
+    cart._id = result.insertedId;
+  }
+  
+  return { success: true, cart, product };
+}
+
+// POST /api/cart/add - Add item to cart
+app.post('/api/cart/add', identifyCartOwner, async (req, res) => {
+  try {
+    const { productId, variantId, quantity } = req.body;
     
-    // Check stock availability
-    if (product.stock < quantity) {
-      return res.status(400).json({
+    const result = await addItemToCart(req.cartOwner, productId, quantity, variantId);
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`,
-        error: 'Insufficient stock'
+        message: result.message,
+        error: result.error
       });
     }
     
-    // Find or create cart
-    let cart = await cartCollection.findOne({ userId, status: 'active' });
-    
-    if (!cart) {
-      // Create new cart
-      cart = {
-        userId,
-        items: [],
-        totalAmount: 0,
-        totalItems: 0,
-        status: 'active',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-    }
-    
-    // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(item => 
-      item.productId.toString() === productId
-    );
-    
-    if (existingItemIndex >= 0) {
-      // Update existing item quantity
-      const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-      
-      // Check total stock for updated quantity
-      if (product.stock < newQuantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Cannot add ${quantity} items. Only ${product.stock - cart.items[existingItemIndex].quantity} more available`,
-          error: 'Insufficient stock for total quantity'
-        });
-      }
-      
-      cart.items[existingItemIndex].quantity = newQuantity;
-      cart.items[existingItemIndex].addedAt = new Date();
-    } else {
-      // Add new item to cart
-      const cartItem = {
-        productId: new ObjectId(productId),
-        productName: product.name,
-        productImage: product.imageUrl || '',
-        quantity: quantity,
-        priceAtTime: product.price,
-        addedAt: new Date()
-      };
-      cart.items.push(cartItem);
-    }
-    
-    // Recalculate totals
-    cart.totalAmount = cart.items.reduce((total, item) => 
-      total + (item.priceAtTime * item.quantity), 0
-    );
-    cart.totalItems = cart.items.reduce((total, item) => 
-      total + item.quantity, 0
-    );
-    cart.updatedAt = new Date();
-    
-    // Save cart
-    if (cart._id) {
-      await cartCollection.replaceOne({ _id: cart._id }, cart);
-    } else {
-      const result = await cartCollection.insertOne(cart);
-      cart._id = result.insertedId;
-    }
-    
     res.status(200).json({
       success: true,
       message: 'Item added to cart successfully',
-      cart: cart
+      cart: result.cart,
+      ...(req.cartOwner.guestToken && { guestToken: req.cartOwner.guestToken })
     });
     
-    console.log(`✅ Item added to cart - User: ${req.user.email}, Product: ${product.name}`);
+    console.log(`✅ Item added to cart - ${req.cartOwner.label}, Product: ${result.product.name}`);
     
   } catch (error) {
     console.error('Error adding item to cart:', error);
@@ -1652,10 +7803,10 @@ app.post('/api/cart/add', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/cart/update - Update item quantity
-app.put('/api/cart/update', authenticateToken, async (req, res) => {
+app.put('/api/cart/update', identifyCartOwner, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
-    const userId = new ObjectId(req.user.userId);
+    const { productId, variantId, quantity } = req.body;
+    const ownerFilter = cartOwnerFilter(req.cartOwner);
     
     // Validation
     if (!productId || quantity === undefined) {
@@ -1675,7 +7826,7 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
     }
     
     // Find cart
-    const cart = await cartCollection.findOne({ userId, status: 'active' });
+    const cart = await cartCollection.findOne({ ...ownerFilter, status: 'active' });
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -1686,7 +7837,7 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
     
     // Find item in cart
     const itemIndex = cart.items.findIndex(item => 
-      item.productId.toString() === productId
+      isSameCartLine(item, productId, variantId)
     );
     
     if (itemIndex === -1) {
@@ -1699,7 +7850,7 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
     
     // Check stock if quantity > 0
     if (quantity > 0) {
-      const product = await productsCollection.findOne({ _id: new ObjectId(productId) });
+      const product = await productsCollection.findOne({ _id: new ObjectId(productId), ...NOT_ARCHIVED });
       if (!product) {
         return res.status(404).json({
           success: false,
@@ -1708,10 +7859,20 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
         });
       }
       
-      if (product.stock < quantity) {
+      const resolved = resolveVariant(product, cart.items[itemIndex].variantId);
+      if (!resolved.success) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.message,
+          error: resolved.error
+        });
+      }
+      
+      const stock = availableStock(product, resolved.variant);
+      if (stock < quantity) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} items available in stock`,
+          message: `Only ${stock} items available in stock`,
           error: 'Insufficient stock'
         });
       }
@@ -1733,6 +7894,7 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
       total + item.quantity, 0
     );
     cart.updatedAt = new Date();
+    touchGuestCart(cart, req.cartOwner);
     
     // Save cart
     await cartCollection.replaceOne({ _id: cart._id }, cart);
@@ -1740,10 +7902,11 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
     res.status(200).json({
       success: true,
       message: quantity === 0 ? 'Item removed from cart' : 'Cart updated successfully',
-      cart: cart
+      cart: cart,
+      ...(req.cartOwner.guestToken && { guestToken: req.cartOwner.guestToken })
     });
     
-    console.log(`✅ Cart updated - User: ${req.user.email}, Product: ${productId}, Quantity: ${quantity}`);
+    console.log(`✅ Cart updated - ${req.cartOwner.label}, Product: ${productId}, Quantity: ${quantity}`);
     
   } catch (error) {
     console.error('Error updating cart:', error);
@@ -1755,11 +7918,12 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /api/cart/item/:productId - Remove single item
-app.delete('/api/cart/item/:productId', authenticateToken, async (req, res) => {
+// DELETE /api/cart/item/:productId - Remove single item (?variantId= for a variant line)
+app.delete('/api/cart/item/:productId', identifyCartOwner, async (req, res) => {
   try {
     const { productId } = req.params;
-    const userId = new ObjectId(req.user.userId);
+    const { variantId } = req.query;
+    const ownerFilter = cartOwnerFilter(req.cartOwner);
     
     // Validation
     if (!ObjectId.isValid(productId)) {
@@ -1771,7 +7935,7 @@ app.delete('/api/cart/item/:productId', authenticateToken, async (req, res) => {
     }
     
     // Find cart
-    const cart = await cartCollection.findOne({ userId, status: 'active' });
+    const cart = await cartCollection.findOne({ ...ownerFilter, status: 'active' });
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -1782,7 +7946,7 @@ app.delete('/api/cart/item/:productId', authenticateToken, async (req, res) => {
     
     // Find item in cart
     const itemIndex = cart.items.findIndex(item => 
-      item.productId.toString() === productId
+      isSameCartLine(item, productId, variantId)
     );
     
     if (itemIndex === -1) {
@@ -1805,77 +7969,474 @@ app.delete('/api/cart/item/:productId', authenticateToken, async (req, res) => {
       total + item.quantity, 0
     );
     cart.updatedAt = new Date();
+    touchGuestCart(cart, req.cartOwner);
+    
+    // Save cart
+    await cartCollection.replaceOne({ _id: cart._id }, cart);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart successfully',
+      cart: cart,
+      ...(req.cartOwner.guestToken && { guestToken: req.cartOwner.guestToken })
+    });
+    
+    console.log(`✅ Item removed from cart - ${req.cartOwner.label}, Product: ${removedItem.productName}`);
+    
+  } catch (error) {
+    console.error('Error removing item from cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing item from cart',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cart/clear - Clear entire cart
+app.delete('/api/cart/clear', identifyCartOwner, async (req, res) => {
+  try {
+    const ownerFilter = cartOwnerFilter(req.cartOwner);
+    
+    // Find cart
+    const cart = await cartCollection.findOne({ ...ownerFilter, status: 'active' });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found',
+        error: 'No active cart exists'
+      });
+    }
+    
+    // Clear cart
+    cart.items = [];
+    cart.totalAmount = 0;
+    cart.totalItems = 0;
+    cart.updatedAt = new Date();
+    touchGuestCart(cart, req.cartOwner);
+    
+    // Save cart
+    await cartCollection.replaceOne({ _id: cart._id }, cart);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared successfully',
+      cart: cart,
+      ...(req.cartOwner.guestToken && { guestToken: req.cartOwner.guestToken })
+    });
+    
+    console.log(`✅ Cart cleared - ${req.cartOwner.label}`);
+    
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// WISHLIST API ENDPOINTS
+// ===========================================
+
+// Products without a status are treated as active
+const isProductActive = (product) => !product.deletedAt && (!product.status || product.status.toLowerCase() === 'active');
+
+// Why a saved product can't be bought ('deleted', 'archived' or 'inactive'), or null if it can
+const productUnavailableReason = (product) => {
+  if (!product) return 'deleted';
+  if (product.deletedAt) return 'archived';
+  return isProductActive(product) ? null : 'inactive';
+};
+
+// Wishlist entries with live price and stock, flagging products that were deleted, archived or deactivated
+async function buildWishlistView(wishlist) {
+  const items = wishlist ? wishlist.items : [];
+  const products = await withEffectivePrices(await productsCollection
+    .find({ _id: { $in: items.map(item => item.productId) } })
+    .toArray());
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  return items.map(item => {
+    const product = productsById.get(item.productId.toString());
+    const unavailableReason = productUnavailableReason(product);
+    
+    return {
+      productId: item.productId,
+      productName: product ? product.name : item.productName,
+      productImage: product ? (product.imageUrl || '') : '',
+      price: product ? product.price : null,
+      effectivePrice: product ? product.effectivePrice : null,
+      stock: product ? product.stock : 0,
+      inStock: !!product && product.stock > 0,
+      isAvailable: unavailableReason === null,
+      unavailableReason: unavailableReason,
+      addedAt: item.addedAt
+    };
+  });
+}
+
+// GET /api/wishlist - Get the user's wishlist
+app.get('/api/wishlist', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await wishlistsCollection.findOne({ userId: new ObjectId(req.user.userId) });
+    const items = await buildWishlistView(wishlist);
+    
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      items: items
+    });
+    
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wishlist',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/wishlist/:productId - Save a product to the wishlist
+app.post('/api/wishlist/:productId', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = new ObjectId(req.user.userId);
+    
+    // Validate ID format
+    if (!ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    // Check if product exists
+    const product = await productsCollection.findOne({ _id: new ObjectId(productId) });
+    if (!product || !isProductActive(product)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    // Create the wishlist on first use
+    await wishlistsCollection.updateOne(
+      { userId },
+      { $setOnInsert: { userId, items: [], createdAt: new Date() } },
+      { upsert: true }
+    );
+    
+    // Add only if not already saved
+    const result = await wishlistsCollection.updateOne(
+      { userId, 'items.productId': { $ne: product._id } },
+      {
+        $push: { items: { productId: product._id, productName: product.name, addedAt: new Date() } },
+        $set: { updatedAt: new Date() }
+      }
+    );
+    
+    const wishlist = await wishlistsCollection.findOne({ userId });
+    const items = await buildWishlistView(wishlist);
+    
+    res.status(result.modifiedCount > 0 ? 201 : 200).json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'Product added to wishlist' : 'Product is already in your wishlist',
+      count: items.length,
+      items: items
+    });
+    
+    console.log(`💜 Wishlist add - User: ${req.user.email}, Product: ${product.name}`);
+    
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to wishlist',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/wishlist/:productId - Remove a product from the wishlist
+app.delete('/api/wishlist/:productId', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = new ObjectId(req.user.userId);
+    
+    // Validate ID format
+    if (!ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    const result = await wishlistsCollection.updateOne(
+      { userId },
+      {
+        $pull: { items: { productId: new ObjectId(productId) } },
+        $set: { updatedAt: new Date() }
+      }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not in wishlist'
+      });
+    }
     
-    // Save cart
-    await cartCollection.replaceOne({ _id: cart._id }, cart);
+    const wishlist = await wishlistsCollection.findOne({ userId });
+    const items = await buildWishlistView(wishlist);
     
     res.status(200).json({
       success: true,
-      message: 'Item removed from cart successfully',
-      cart: cart
+      message: 'Product removed from wishlist',
+      count: items.length,
+      items: items
     });
     
-    console.log(`✅ Item removed from cart - User: ${req.user.email}, Product: ${removedItem.productName}`);
-    
   } catch (error) {
-    console.error('Error removing item from cart:', error);
+    console.error('Error removing from wishlist:', error);
     res.status(500).json({
       success: false,
-      message: 'Error removing item from cart',
+      message: 'Error removing from wishlist',
       error: error.message
     });
   }
 });
 
-// DELETE /api/cart/clear - Clear entire cart
-app.delete('/api/cart/clear', authenticateToken, async (req, res) => {
+// POST /api/wishlist/:productId/move-to-cart - Move a wishlist item into the cart
+app.post('/api/wishlist/:productId/move-to-cart', authenticateToken, async (req, res) => {
   try {
+    const { productId } = req.params;
+    const { quantity = 1, variantId } = req.body;
     const userId = new ObjectId(req.user.userId);
     
-    // Find cart
-    const cart = await cartCollection.findOne({ userId, status: 'active' });
-    if (!cart) {
+    // Validate ID format
+    if (!ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+    
+    const wishlist = await wishlistsCollection.findOne({ userId, 'items.productId': new ObjectId(productId) });
+    if (!wishlist) {
       return res.status(404).json({
         success: false,
-        message: 'Cart not found',
-        error: 'No active cart exists'
+        message: 'Product not in wishlist'
       });
     }
     
-    // Clear cart
-    cart.items = [];
-    cart.totalAmount = 0;
-    cart.totalItems = 0;
-    cart.updatedAt = new Date();
+    // Deleted or inactive products stay in the wishlist, flagged, rather than going to the cart
+    const product = await productsCollection.findOne({ _id: new ObjectId(productId) });
+    if (!product || !isProductActive(product)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is no longer available',
+        error: 'Product unavailable'
+      });
+    }
     
-    // Save cart
-    await cartCollection.replaceOne({ _id: cart._id }, cart);
+    // Same stock checks as /api/cart/add
+    const result = await addItemToCart({ userId, label: `User: ${req.user.email}` }, productId, quantity, variantId);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        error: result.error
+      });
+    }
+    
+    await wishlistsCollection.updateOne(
+      { userId },
+      {
+        $pull: { items: { productId: product._id } },
+        $set: { updatedAt: new Date() }
+      }
+    );
     
     res.status(200).json({
       success: true,
-      message: 'Cart cleared successfully',
-      cart: cart
+      message: 'Item moved to cart successfully',
+      cart: result.cart
     });
     
-    console.log(`✅ Cart cleared - User: ${req.user.email}`);
+    console.log(`✅ Wishlist item moved to cart - User: ${req.user.email}, Product: ${product.name}`);
     
   } catch (error) {
-    console.error('Error clearing cart:', error);
+    console.error('Error moving wishlist item to cart:', error);
     res.status(500).json({
       success: false,
-      message: 'Error clearing cart',
+      message: 'Error moving wishlist item to cart',
       error: error.message
     });
   }
 });
 
-// POST /api/orders - Save order data
-app.post('/api/orders', async (req, res) => {
+// Stock is taken when an order is placed and given back when it is cancelled or refunded.
+// Each line is a conditional update, so two orders can't both take the last unit (see utils/stock.js).
+//
+// Orders record where their stock is in stock_status:
+//   held     - taken while an online payment is pending; released if unpaid by stock_hold_expires_at
+//   deducted - taken for good (paid, cash on delivery, or holds disabled)
+//   released - given back: cancelled, refunded, payment failed or hold expired
+//   null     - nothing was taken (orders placed before stock tracking)
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'completed', 'cancelled', 'refunded'];
+const ORDER_STATUSES_RELEASING_STOCK = ['cancelled', 'refunded'];
+
+// Whether an order belongs to the signed-in user: placed from the account, or a guest order
+// under the account's email once that email is verified
+const isOrderOwner = (order, user) => Boolean(order.user.user_id && order.user.user_id.equals(user.userId)) ||
+  (user.emailVerified === true && order.user.user_email === user.email.toLowerCase());
+
+// Razorpay signs a checkout result with the key secret: hex HMAC-SHA256 of "<order id>|<payment id>"
+function isValidRazorpaySignature(razorpayOrderId, razorpayPaymentId, signature) {
+  if (!RAZORPAY_KEY_SECRET || !razorpayOrderId || typeof razorpayPaymentId !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+  
+  const expected = Buffer.from(crypto.createHmac('sha256', RAZORPAY_KEY_SECRET)
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex'));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Stock lines ({ productId, variantId, quantity }) for an order's catalog items
+const orderStockLines = (items) => items
+  .filter(item => ObjectId.isValid(item.product_id))
+  .map(item => ({
+    productId: new ObjectId(item.product_id),
+    variantId: item.variant_id && ObjectId.isValid(item.variant_id) ? new ObjectId(item.variant_id) : null,
+    quantity: item.quantity
+  }));
+
+// takeStock(lines) and returnStock(lines) from utils/stock.js, returning products as STOCK_PROJECTION
+const { takeStock, returnStock } = createStockKeeper(() => productsCollection, { projection: STOCK_PROJECTION });
+
+// Inventory movements for order lines, from the { line, product } pairs returned by
+// takeStock/returnStock. Taken stock is recorded as negative.
+const orderStockMovements = (changes, sign, details) => changes.map(({ line, product }) =>
+  stockMovement(product, line.variantId && findVariant(product, line.variantId), sign * line.quantity, details)
+);
+
+// Give back the stock of an order matching filter that still has it - at most once, since only
+// the request that flips stock_status gets the order back. updates are $set alongside; actor is
+// who released it, for the inventory movements (null when the server does it).
+// Returns the updated order, or null if there was nothing to release.
+async function releaseOrderStock(filter, reason, updates = {}, actor = null) {
+  const order = await newOrdersCollection.findOneAndUpdate(
+    { stock_status: { $in: ['held', 'deducted'] }, ...filter },
+    {
+      $set: {
+        ...updates,
+        stock_status: 'released',
+        stock_hold_expires_at: null,
+        stock_released_at: new Date(),
+        stock_release_reason: reason,
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  
+  if (order) {
+    const returned = await returnStock(orderStockLines(order.items));
+    await recordStockMovements(orderStockMovements(returned, 1, {
+      type: order.status === 'refunded' ? 'return' : 'cancellation',
+      reason,
+      orderId: order.order_id,
+      actor
+    }));
+    console.log(`📦 Stock returned for order ${order.order_id} (${reason})`);
+  }
+  return order;
+}
+
+// Only orders still in these statuses are cancelled when their hold runs out; one staff have moved on (shipped, completed) keeps its stock
+const OPEN_ORDER_STATUSES = ['pending', 'processing'];
+
+// Cancel unpaid orders whose stock hold has run out, returning their stock
+async function releaseExpiredStockHolds() {
+  const expired = await newOrdersCollection
+    .find({ stock_status: 'held', stock_hold_expires_at: { $lte: new Date() }, status: { $in: OPEN_ORDER_STATUSES } })
+    .project({ order_id: 1 })
+    .toArray();
+  
+  for (const { order_id } of expired) {
+    // Re-checked in the update, in case the payment came through or the status changed in the meantime
+    await releaseOrderStock(
+      { order_id, stock_status: 'held', stock_hold_expires_at: { $lte: new Date() }, status: { $in: OPEN_ORDER_STATUSES } },
+      'Payment not completed in time',
+      { status: 'cancelled' }
+    );
+  }
+}
+
+// POST /api/orders - Save order data (takes each line's stock, or fails without taking any)
+app.post('/api/orders', optionalAuthenticateToken, async (req, res) => {
+  // Stock taken for this request, returned if the order can't be saved
+  let takenStockLines = [];
+  
   try {
     const orderData = req.body;
     
-    // Basic validation - required fields
-    const requiredFields = ['order_id', 'order_date', 'status', 'user', 'items', 'customer', 'pricing', 'payment'];
+    // Signed-in customers order as their account; the order's user block only comes from the request for guests
+    const account = req.user
+      ? await usersCollection.findOne(
+          { _id: new ObjectId(req.user.userId) },
+          { projection: { name: 1, email: 1, emailVerified: 1, addresses: 1 } }
+        )
+      : null;
+    
+    // A saved address can stand in for the customer block (requires login)
+    if (orderData.addressId) {
+      if (!account) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please log in to use a saved address',
+          error: 'Authentication required'
+        });
+      }
+      
+      if (!ObjectId.isValid(orderData.addressId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid address ID format'
+        });
+      }
+      
+      const savedAddress = (account.addresses || []).find(address =>
+        address._id.toString() === orderData.addressId
+      );
+      
+      if (!savedAddress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved address not found'
+        });
+      }
+      
+      orderData.customer = {
+        name: savedAddress.name,
+        email: (orderData.customer && orderData.customer.email) || account.email,
+        phone: savedAddress.phone,
+        address: savedAddress.address,
+        city: savedAddress.city,
+        state: savedAddress.state,
+        pin_code: savedAddress.pin_code,
+        country: savedAddress.country
+      };
+    }
+    
+    // Basic validation - required fields (the order and payment status are always set here, not by the client)
+    const requiredFields = ['order_id', 'order_date', ...(account ? [] : ['user']), 'items', 'customer', 'pricing', 'payment'];
     const missingFields = requiredFields.filter(field => !orderData[field]);
     
     if (missingFields.length > 0) {
@@ -1885,8 +8446,8 @@ app.post('/api/orders', async (req, res) => {
       });
     }
     
-    // Validate user object
-    if (!orderData.user.username || !orderData.user.user_email) {
+    // Validate user object (guests)
+    if (!account && (!orderData.user.username || !orderData.user.user_email)) {
       return res.status(400).json({
         success: false,
         message: 'User username and user_email are required'
@@ -1901,6 +8462,62 @@ app.post('/api/orders', async (req, res) => {
       });
     }
     
+    // Lines for products with variants must name one; name, SKU, attributes and price are taken from the product
+    const lineProducts = [];
+    const lineVariants = [];
+    const linePrices = [];
+    const stockLines = [];
+    for (const item of orderData.items) {
+      if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a whole-number quantity of at least 1'
+        });
+      }
+      
+      const product = item.product_id && ObjectId.isValid(item.product_id)
+        ? await withEffectivePrice(await productsCollection.findOne(
+            { _id: new ObjectId(item.product_id) },
+            { projection: { name: 1, price: 1, categoryId: 1, variants: 1, deletedAt: 1 } }
+          ))
+        : null;
+      
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item.product_id} not found`,
+          error: 'Product not found'
+        });
+      }
+      
+      if (product.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name} is no longer available`,
+          error: 'Product archived'
+        });
+      }
+      
+      const resolved = resolveVariant(product, item.variant_id);
+      if (!resolved.success) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: `${product.name}: ${resolved.message}`,
+          error: resolved.error
+        });
+      }
+      lineProducts.push(product);
+      lineVariants.push(resolved.variant);
+      // The price it sells at right now, sale included (withEffectivePrice)
+      linePrices.push(resolved.variant ? resolved.variant.effectivePrice : product.effectivePrice);
+      stockLines.push({
+        productId: product._id,
+        variantId: resolved.variant ? resolved.variant._id : null,
+        quantity: Number(item.quantity),
+        name: resolved.variant ? `${product.name} (${resolved.variant.sku})` : product.name
+      });
+    }
+    
     // Validate customer object
     const customerRequiredFields = ['name', 'email', 'phone', 'address', 'city', 'state', 'pin_code', 'country'];
     const missingCustomerFields = customerRequiredFields.filter(field => !orderData.customer[field]);
@@ -1912,11 +8529,68 @@ app.post('/api/orders', async (req, res) => {
       });
     }
     
+    // Validate pin code format
+    if (!isValidPinCode(orderData.customer.pin_code, orderData.customer.country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid 6-digit Indian pin code'
+      });
+    }
+    
     // Validate payment object
-    if (!orderData.payment.method || !orderData.payment.status) {
+    if (!orderData.payment.method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method is required'
+      });
+    }
+    
+    // Totals are worked out from the catalog prices; tax, shipping and discount come from the checkout
+    const charges = {};
+    for (const field of ['tax', 'shipping', 'discount']) {
+      const value = orderData.pricing[field];
+      const amount = value === undefined || value === null ? 0 : Number(value);
+      if (isNaN(amount) || amount < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `pricing.${field} must be a non-negative number`
+        });
+      }
+      charges[field] = amount;
+    }
+    
+    const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+    const subtotal = roundToPaisa(linePrices.reduce((sum, price, index) => sum + price * Number(orderData.items[index].quantity), 0));
+    const total = roundToPaisa(subtotal + charges.tax + charges.shipping - charges.discount);
+    
+    if (total < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Payment method and status are required'
+        message: 'The discount is larger than the order'
+      });
+    }
+    
+    // The customer must have been shown these amounts - otherwise prices changed since checkout
+    if (Math.abs(Number(orderData.pricing.subtotal) - subtotal) >= 0.01 || Math.abs(Number(orderData.pricing.total) - total) >= 0.01) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed since checkout. Please review your order and try again.',
+        error: 'Price mismatch',
+        pricing: { subtotal, total },
+        items: orderData.items.map((item, index) => ({
+          product_id: item.product_id,
+          variant_id: lineVariants[index] ? lineVariants[index]._id.toString() : null,
+          price: linePrices[index]
+        }))
+      });
+    }
+    
+    // Registered accounts must verify their email before ordering (guest checkout is unaffected)
+    if (REQUIRE_VERIFIED_EMAIL_FOR_ORDERS && account && account.emailVerified !== true) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before placing an order',
+        error: 'Email not verified'
       });
     }
     
@@ -1933,17 +8607,18 @@ app.post('/api/orders', async (req, res) => {
     const newOrder = {
       order_id: orderData.order_id,
       order_date: new Date(orderData.order_date),
-      status: orderData.status,
-      user: {
-        user_id: orderData.user.user_id ? new ObjectId(orderData.user.user_id) : null,
-        username: orderData.user.username,
-        user_email: orderData.user.user_email.toLowerCase()
-      },
-      items: orderData.items.map(item => ({
+      status: 'pending',
+      user: account
+        ? { user_id: account._id, username: account.name, user_email: account.email }
+        : { user_id: null, username: orderData.user.username, user_email: orderData.user.user_email.toLowerCase() },
+      items: orderData.items.map((item, index) => ({
         product_id: item.product_id,
-        product_name: item.product_name,
+        variant_id: lineVariants[index] ? lineVariants[index]._id.toString() : null,
+        sku: lineVariants[index] ? lineVariants[index].sku : null,
+        variant_attributes: lineVariants[index] ? lineVariants[index].attributes : null,
+        product_name: lineProducts[index].name,
         quantity: parseInt(item.quantity),
-        price: parseFloat(item.price)
+        price: linePrices[index]
       })),
       customer: {
         name: orderData.customer.name,
@@ -1956,20 +8631,21 @@ app.post('/api/orders', async (req, res) => {
         country: orderData.customer.country
       },
       pricing: {
-        subtotal: parseFloat(orderData.pricing.subtotal),
-        tax: parseFloat(orderData.pricing.tax),
-        shipping: parseFloat(orderData.pricing.shipping),
-        discount: orderData.pricing.discount ? parseFloat(orderData.pricing.discount) : null,
-        total: parseFloat(orderData.pricing.total)
+        subtotal: subtotal,
+        tax: charges.tax,
+        shipping: charges.shipping,
+        discount: charges.discount || null,
+        total: total
       },
+      // The outcome is recorded later through PUT /api/orders/:orderId/payment
       payment: {
         method: orderData.payment.method,
-        status: orderData.payment.status,
+        status: 'pending',
         razorpay_order_id: orderData.payment.razorpay_order_id || null,
-        razorpay_payment_id: orderData.payment.razorpay_payment_id || null,
-        razorpay_signature: orderData.payment.razorpay_signature || null,
-        transaction_id: orderData.payment.transaction_id || null,
-        payment_date: orderData.payment.payment_date ? new Date(orderData.payment.payment_date) : null
+        razorpay_payment_id: null,
+        razorpay_signature: null,
+        transaction_id: null,
+        payment_date: null
       },
       shipping: orderData.shipping || null,
       notes: orderData.notes || null,
@@ -1979,8 +8655,33 @@ app.post('/api/orders', async (req, res) => {
       updatedAt: new Date()
     };
     
+    // Unpaid online orders only hold their stock for a while; see releaseExpiredStockHolds
+    const holdsStock = STOCK_HOLD_MINUTES > 0 && newOrder.payment.method !== 'cod';
+    
+    newOrder.stock_status = holdsStock ? 'held' : 'deducted';
+    newOrder.stock_hold_expires_at = holdsStock ? new Date(Date.now() + STOCK_HOLD_MINUTES * 60 * 1000) : null;
+    
+    const stockResult = await takeStock(stockLines);
+    if (!stockResult.success) {
+      return res.status(stockResult.status).json({
+        success: false,
+        message: stockResult.message,
+        error: stockResult.error
+      });
+    }
+    const takenStock = stockResult.taken;
+    takenStockLines = stockLines;
+    
     // Insert the order into database
     const result = await newOrdersCollection.insertOne(newOrder);
+    takenStockLines = [];
+    
+    await recordStockMovements(orderStockMovements(takenStock, -1, {
+      type: 'order',
+      reason: 'Order placed',
+      orderId: newOrder.order_id,
+      actor: requestActor(req)
+    }));
     
     // Get the inserted order
     const insertedOrder = await newOrdersCollection.findOne({ _id: result.insertedId });
@@ -1997,6 +8698,12 @@ app.post('/api/orders', async (req, res) => {
   } catch (error) {
     console.error('Error saving order:', error);
     
+    if (takenStockLines.length > 0) {
+      await returnStock(takenStockLines).catch(returnError =>
+        console.error('Error returning stock for unsaved order:', returnError)
+      );
+    }
+    
     // Handle duplicate key errors
     if (error.code === 11000) {
       if (error.keyPattern && error.keyPattern.order_id) {
@@ -2026,8 +8733,213 @@ app.post('/api/orders', async (req, res) => {
   }
 });
 
+// PUT /api/orders/:orderId/status - Change an order's status (cancelled/refunded return its stock)
+app.put('/api/orders/:orderId/status', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status } = req.body;
+    
+    // Validation
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+    
+    const order = await newOrdersCollection.findOne({ order_id: orderId, is_deleted: { $ne: true } });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: `Order with ID '${orderId}' not found`
+      });
+    }
+    
+    // Its stock may already be gone again, so a cancelled or refunded order stays closed
+    // (a cancelled order can still be marked refunded)
+    if (ORDER_STATUSES_RELEASING_STOCK.includes(order.status) && !ORDER_STATUSES_RELEASING_STOCK.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${order.status} order can't be reopened - place a new order instead`
+      });
+    }
+    
+    // Held stock belongs to an unpaid online order, which can't go out before its payment is confirmed
+    if (order.stock_status === 'held' && ['shipped', 'completed'].includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The payment for this order is still ${order.payment.status} - confirm it before marking the order ${status}`,
+        error: 'Payment pending'
+      });
+    }
+    
+    // Who completed it, so reviews can trust the purchase (see findCompletedOrderFor)
+    const completion = status === 'completed' ? { completed_at: new Date(), completed_by: requestActor(req) } : {};
+    
+    // Only from the status checked above - a failed payment or an expired hold may have cancelled it since
+    let updatedOrder = await newOrdersCollection.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      { $set: { status, ...completion, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order was changed in the meantime - reload it and try again',
+        error: 'Order changed'
+      });
+    }
+    
+    if (ORDER_STATUSES_RELEASING_STOCK.includes(status)) {
+      updatedOrder = await releaseOrderStock({ _id: order._id }, `Order ${status}`, {}, requestActor(req)) || updatedOrder;
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: `Order ${orderId} is now ${status}`,
+      order: updatedOrder
+    });
+    
+    console.log(`📋 Order ${orderId}: ${order.status} -> ${status} by ${req.user.email}`);
+    
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating order status',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/orders/:orderId/payment - Record the outcome of an online payment (verified or failed)
+app.put('/api/orders/:orderId/payment', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, razorpay_payment_id, razorpay_signature, transaction_id } = req.body;
+    
+    // Validation
+    if (!['verified', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be verified or failed'
+      });
+    }
+    
+    const order = await newOrdersCollection.findOne({ order_id: orderId, is_deleted: { $ne: true } });
+    
+    // Customers can only report payments for their own orders
+    if (!order || !(isOrderOwner(order, req.user) || isStaffRequest(req))) {
+      return res.status(404).json({
+        success: false,
+        message: `Order with ID '${orderId}' not found`
+      });
+    }
+    
+    // Customers can only confirm a Razorpay payment, with the signature Razorpay returned;
+    // everything else is confirmed by staff
+    if (status === 'verified' && !isStaffRequest(req)) {
+      if (!RAZORPAY_KEY_SECRET || order.payment.method !== 'razorpay') {
+        return res.status(403).json({
+          success: false,
+          message: 'This payment can only be confirmed by staff',
+          error: 'Forbidden'
+        });
+      }
+      
+      if (!isValidRazorpaySignature(order.payment.razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment signature',
+          error: 'Signature mismatch'
+        });
+      }
+    }
+    
+    // A Razorpay payment can only pay for one order
+    if (status === 'verified' && razorpay_payment_id) {
+      const otherOrder = await newOrdersCollection.findOne(
+        { 'payment.razorpay_payment_id': razorpay_payment_id, _id: { $ne: order._id } },
+        { projection: { _id: 1 } }
+      );
+      if (otherOrder) {
+        return res.status(409).json({
+          success: false,
+          message: 'This payment has already been recorded for another order',
+          error: 'Payment already used'
+        });
+      }
+    }
+    
+    const paymentUpdates = {
+      'payment.status': status,
+      ...(razorpay_payment_id && { 'payment.razorpay_payment_id': razorpay_payment_id }),
+      ...(razorpay_signature && { 'payment.razorpay_signature': razorpay_signature }),
+      ...(transaction_id && { 'payment.transaction_id': transaction_id }),
+      ...(status === 'verified' && {
+        'payment.payment_date': new Date(),
+        'payment.verified_via': isStaffRequest(req) ? 'staff' : 'razorpay_signature'
+      }),
+      ...(status === 'failed' && { status: 'cancelled' }),
+      updatedAt: new Date()
+    };
+    
+    // Only an open payment can be settled, and only once
+    let updatedOrder = await newOrdersCollection.findOneAndUpdate(
+      { _id: order._id, 'payment.status': { $in: ['pending', 'processing'] } },
+      { $set: paymentUpdates },
+      { returnDocument: 'after' }
+    );
+    
+    if (!updatedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: `The payment for this order is already ${order.payment.status}`
+      });
+    }
+    
+    if (status === 'failed') {
+      updatedOrder = await releaseOrderStock({ _id: order._id }, 'Payment failed', {}, requestActor(req)) || updatedOrder;
+    } else if (updatedOrder.stock_status === 'held') {
+      const confirmed = await newOrdersCollection.findOneAndUpdate(
+        { _id: order._id, stock_status: 'held' },
+        { $set: { stock_status: 'deducted', stock_hold_expires_at: null } },
+        { returnDocument: 'after' }
+      );
+      updatedOrder = confirmed || await newOrdersCollection.findOne({ _id: order._id });
+    }
+    
+    // Paid too late: the hold expired and the order was cancelled in the meantime
+    if (status === 'verified' && updatedOrder.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment recorded, but this order has been cancelled (its stock hold may have expired) - the payment needs to be refunded',
+        error: 'Order cancelled',
+        order: updatedOrder
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: status === 'verified' ? 'Payment verified' : 'Payment failed - the order has been cancelled',
+      order: updatedOrder
+    });
+    
+    console.log(`💳 Payment ${status} for order ${orderId}`);
+    
+  } catch (error) {
+    console.error('Error updating order payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating order payment',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/orders - Get all orders with full details
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', authenticateToken, authorizeRoles('staff', 'admin'), async (req, res) => {
   try {
     // Optional query parameters for filtering and pagination
     const { page = 1, limit = 50, status, payment_status } = req.query;
@@ -2085,8 +8997,8 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
-// GET /api/orders/by-id/:orderId - Get specific order by order ID
-app.get('/api/orders/by-id/:orderId', async (req, res) => {
+// GET /api/orders/by-id/:orderId - Get specific order by order ID (own orders, or any for staff)
+app.get('/api/orders/by-id/:orderId', authenticateToken, async (req, res) => {
   try {
     const orderId = req.params.orderId;
     
@@ -2104,8 +9016,8 @@ app.get('/api/orders/by-id/:orderId', async (req, res) => {
       is_deleted: { $ne: true }
     });
     
-    // Check if order exists
-    if (!order) {
+    // Check if order exists - other customers' orders look the same as missing ones
+    if (!order || !(isOrderOwner(order, req.user) || isStaffRequest(req))) {
       return res.status(404).json({
         success: false,
         message: `Order with ID '${orderId}' not found`
@@ -2131,8 +9043,8 @@ app.get('/api/orders/by-id/:orderId', async (req, res) => {
   }
 });
 
-// GET /api/orders/:email - Fetch orders by email
-app.get('/api/orders/:email', async (req, res) => {
+// GET /api/orders/:email - Fetch orders by email (the account's own verified email, or any for staff)
+app.get('/api/orders/:email', authenticateToken, async (req, res) => {
   try {
     const email = req.params.email.toLowerCase();
     
@@ -2145,6 +9057,15 @@ app.get('/api/orders/:email', async (req, res) => {
       });
     }
     
+    const isOwnEmail = req.user.emailVerified === true && email === req.user.email.toLowerCase();
+    if (!isOwnEmail && !isStaffRequest(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the orders for your own verified email address',
+        error: 'Forbidden'
+      });
+    }
+    
     // Find orders by email - search both user.user_email and customer.email
     const orders = await newOrdersCollection.find({
       $or: [
@@ -2191,41 +9112,116 @@ app.get('/', (req, res) => {
   res.json({ 
     message: 'SM Furnishing Products API',
     endpoints: {
-      'POST /api/signup': 'User registration (name, email, password)',
-      'POST /api/login': 'User authentication (email, password)',
-      'POST /api/send-otp': 'Send OTP to email for verification (email)',
-      'POST /api/verify-otp': 'Verify OTP code (email, otp)',
-      'GET /api/products': 'Get all products',
-      'POST /api/products': 'Create new product',
-      'GET /api/products/:id': 'Get single product',
-      'DELETE /api/products/:id': 'Delete product',
-      'GET /api/latestproducts': 'Get all latest products',
-      'GET /api/latestproducts/:id': 'Get single latest product',
-      'GET /api/categories': 'Get all categories',
-      'POST /api/categories': 'Create new category',
-      'GET /api/categories/:id': 'Get single category',
-      'DELETE /api/categories/:id': 'Delete category',
+      'POST /api/signup': 'User registration (name, email, password, guestToken)',
+      'POST /api/login': 'User authentication (email, password, guestToken)',
+      'POST /api/token/refresh': 'Get a new access token (refreshToken)',
+      'POST /api/logout': 'Log out current session (refreshToken) (requires JWT token)',
+      'POST /api/logout-all': 'Log out from all devices (requires JWT token)',
+      'POST /api/send-otp': 'Send OTP to email for verification (email, purpose)',
+      'POST /api/verify-otp': 'Verify OTP code (email, otp, purpose)',
+      'POST /api/password/forgot': 'Send password reset code (email)',
+      'POST /api/password/reset': 'Reset password with code (email, otp, newPassword)',
+      'GET /api/me': 'Get current user profile (requires JWT token)',
+      'PATCH /api/me': 'Update profile (name, phone) (requires JWT token)',
+      'POST /api/me/email': 'Send code to change email (email) (requires JWT token)',
+      'POST /api/me/email/verify': 'Confirm email change (otp) (requires JWT token)',
+      'POST /api/me/password': 'Change password (currentPassword, newPassword) (requires JWT token)',
+      'DELETE /api/me': 'Close account (password) (requires JWT token)',
+      'GET /api/me/addresses': 'List saved addresses (requires JWT token)',
+      'POST /api/me/addresses': 'Save address (name, phone, address, city, state, pin_code, country, isDefaultShipping, isDefaultBilling) (requires JWT token)',
+      'PUT /api/me/addresses/:addressId': 'Update saved address (requires JWT token)',
+      'DELETE /api/me/addresses/:addressId': 'Delete saved address (requires JWT token)',
+      'PUT /api/users/:id/role': 'Change user role (role) (requires admin)',
+      'GET /api/products': 'Get products (filters: categoryId, includeDescendants, minPrice, maxPrice, inStock, newArrival, featured, bestseller; sort; page, limit; staff/admin: status, archived=true). Price filters and sort=price use effectivePrice',
+      'POST /api/products': 'Create new product (requires staff or admin)',
+      'POST /api/products/import': 'Create or update products from a CSV or JSON file (field "file", dryRun=true to only check) (requires staff or admin)',
+      'GET /api/products/export': 'Download the catalog as CSV (requires staff or admin)',
+      'GET /api/products/by-slug/:slug': 'Get single product by slug (old slugs answer 301 with the new location)',
+      'GET /api/products/:id': 'Get single product (archived products only for staff/admin)',
+      'PUT /api/products/:id': 'Replace product fields (requires staff or admin)',
+      'PATCH /api/products/:id': 'Update some product fields (requires staff or admin)',
+      'DELETE /api/products/:id': 'Archive product (requires admin)',
+      'POST /api/products/:id/restore': 'Restore an archived product (requires admin)',
+      'DELETE /api/products/:id/purge': 'Permanently delete an archived product (requires admin)',
+      'POST /api/products/:id/variants': 'Add variant (sku, attributes, price, stock, imageUrl) (requires staff or admin)',
+      'PATCH /api/products/:id/variants/:variantId': 'Update variant (requires staff or admin)',
+      'DELETE /api/products/:id/variants/:variantId': 'Delete variant (requires admin)',
+      'GET /api/products/:id/inventory': 'Stock movement history (type, variantId, page, limit) (requires staff or admin)',
+      'POST /api/products/:id/inventory': 'Adjust stock by hand (quantity, reason, variantId, type adjustment/return) (requires staff or admin)',
+      'GET /api/inventory/low-stock': 'Items at or below their reorder threshold (requires staff or admin)',
+      'GET /api/price-rules': 'List price rules (status: active, scheduled, ended) (requires staff or admin)',
+      'POST /api/price-rules': 'Schedule a sale (name, type percent/fixed, value, productIds or categoryId, startsAt, endsAt) (requires staff or admin)',
+      'PATCH /api/price-rules/:id': 'Update a price rule (requires staff or admin)',
+      'DELETE /api/price-rules/:id': 'Delete a price rule, ending its sale (requires admin)',
+      'GET /api/price-history': 'Audit trail of price, compare-at price and price rule changes (productId, priceRuleId, page, limit) (requires staff or admin)',
+      'POST /api/products/:id/images': 'Upload gallery images (multipart "images", JPEG/PNG/WebP) (requires staff or admin)',
+      'PUT /api/products/:id/images/order': 'Reorder gallery (imageIds) (requires staff or admin)',
+      'PATCH /api/products/:id/images/:imageId': 'Update image alt text or make it primary (requires staff or admin)',
+      'DELETE /api/products/:id/images/:imageId': 'Delete gallery image (requires admin)',
+      'GET /api/latestproducts': 'Get new arrivals (products flagged newArrival)',
+      'GET /api/latestproducts/:id': 'Get single new arrival (old latestproducts IDs still work)',
+      'POST /api/products/:id/reviews': 'Review a purchased product (rating, title, text, photos) (requires JWT token and a completed order)',
+      'GET /api/products/:id/reviews': 'Get approved reviews with rating summary (sort, page, limit)',
+      'GET /api/reviews': 'Review moderation queue (status, page, limit) (requires staff or admin)',
+      'PUT /api/reviews/:id/status': 'Approve or hide a review (requires staff or admin)',
+      'POST /api/reviews/:id/helpful': 'Mark a review as helpful (requires JWT token)',
+      'GET /api/collections': 'Get active curated collections (staff/admin: includeInactive=true)',
+      'GET /api/collections/by-slug/:slug': 'Get active collection with its products, by slug',
+      'GET /api/collections/:id': 'Get active collection with its products',
+      'POST /api/collections': 'Create collection (name, description, productIds, startsAt, endsAt, position) (requires staff or admin)',
+      'PATCH /api/collections/:id': 'Update collection (requires staff or admin)',
+      'DELETE /api/collections/:id': 'Delete collection (requires admin)',
+      'GET /api/search?q=': 'Search products by relevance (synonyms, misspelling fallback; page, limit)',
+      'GET /api/search/suggest?q=': 'Type-ahead suggestions for product and category names',
+      'GET /api/categories': 'Get all categories (staff/admin: archived=true)',
+      'GET /api/categories/tree': 'Get categories nested under their parents',
+      'POST /api/categories': 'Create new category (name, description, parentId) (requires staff or admin)',
+      'GET /api/categories/by-slug/:slug': 'Get single category by slug (old slugs answer 301 with the new location)',
+      'GET /api/categories/:id': 'Get single category with breadcrumbs and subcategories',
+      'PATCH /api/categories/:id': 'Update category (name, description, parentId) (requires staff or admin)',
+      'DELETE /api/categories/:id': 'Archive category (requires admin)',
+      'POST /api/categories/:id/restore': 'Restore an archived category (requires admin)',
+      'DELETE /api/categories/:id/purge': 'Permanently delete an archived, unused category (requires admin)',
       'POST /api/form-data': 'Store form submission (name, email, phoneNumber, orderDescription)',
       'POST /api/newsletter-emails': 'Store email subscription (email)',
-      'GET /api/cart': 'Get user\'s cart (requires JWT token)',
-      'POST /api/cart/add': 'Add item to cart (productId, quantity) (requires JWT token)',
-      'PUT /api/cart/update': 'Update cart item quantity (productId, quantity) (requires JWT token)',
-      'DELETE /api/cart/item/:productId': 'Remove item from cart (requires JWT token)',
-      'DELETE /api/cart/clear': 'Clear entire cart (requires JWT token)',
-      'GET /api/orders': 'Get all orders with pagination and filtering',
-      'GET /api/orders/by-id/:orderId': 'Get specific order by order ID',
-      'POST /api/orders': 'Save order data (order_id, user, items, customer, pricing, payment)',
-      'GET /api/orders/:email': 'Fetch all orders by email address',
+      'GET /api/cart': 'Get cart (JWT token or X-Guest-Token)',
+      'POST /api/cart/add': 'Add item to cart (productId, variantId, quantity) (JWT token or X-Guest-Token)',
+      'PUT /api/cart/update': 'Update cart item quantity (productId, variantId, quantity) (JWT token or X-Guest-Token)',
+      'DELETE /api/cart/item/:productId': 'Remove item from cart (?variantId= for a variant) (JWT token or X-Guest-Token)',
+      'DELETE /api/cart/clear': 'Clear entire cart (JWT token or X-Guest-Token)',
+      'GET /api/wishlist': 'Get wishlist with live price and stock (requires JWT token)',
+      'POST /api/wishlist/:productId': 'Add product to wishlist (requires JWT token)',
+      'DELETE /api/wishlist/:productId': 'Remove product from wishlist (requires JWT token)',
+      'POST /api/wishlist/:productId/move-to-cart': 'Move wishlist item to cart (quantity) (requires JWT token)',
+      'GET /api/orders': 'Get all orders with pagination and filtering (requires staff or admin)',
+      'GET /api/orders/by-id/:orderId': 'Get specific order by order ID (requires JWT token, own order or staff)',
+      'POST /api/orders': 'Save order data (order_id, user (guests; with a JWT token the account is used), items, customer or addressId, pricing, payment); line prices come from the catalog and the order starts pending',
+      'PUT /api/orders/:orderId/status': 'Change order status; cancelled/refunded return the stock (requires staff or admin)',
+      'PUT /api/orders/:orderId/payment': 'Record payment verified/failed (razorpay_payment_id, razorpay_signature, transaction_id) (requires JWT token, own order or staff; customers need a valid Razorpay signature to verify)',
+      'GET /api/orders/:email': 'Fetch all orders by email address (requires JWT token, own verified email or staff)',
       'GET /health': 'Health check'
     }
   });
 });
 
 // Start server
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 
 async function startServer() {
   await connectToMongoDB();
+  await bootstrapAdmin().catch(error => console.error('Error bootstrapping the first admin:', error));
+  
+  // Check for expired stock holds every minute
+  if (STOCK_HOLD_MINUTES > 0) {
+    setInterval(() => {
+      releaseExpiredStockHolds().catch(error => console.error('Error releasing expired stock holds:', error));
+    }, 60 * 1000).unref();
+  }
+  
+  // Check every 15 minutes whether today's low-stock digest is due
+  setInterval(() => {
+    sendLowStockDigestIfDue().catch(error => console.error('Error sending low stock digest:', error));
+  }, 15 * 60 * 1000).unref();
   
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server is running on http://0.0.0.0:${PORT}`);
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsvLine } = require('../utils/csv');
+
+test('parseCsv splits records and fields', () => {
+  assert.deepStrictEqual(parseCsv('name,price\nSofa,100\n'), [['name', 'price'], ['Sofa', '100']]);
+});
+
+test('parseCsv accepts CRLF line endings and a missing final newline', () => {
+  assert.deepStrictEqual(parseCsv('a,b\r\nc,d'), [['a', 'b'], ['c', 'd']]);
+});
+
+test('parseCsv ignores a leading byte order mark', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFname\nRug'), [['name'], ['Rug']]);
+});
+
+test('parseCsv handles quoted commas, doubled quotes and line breaks', () => {
+  const text = 'name,description\n"Sofa, 3 seater","The ""Classic""\nmodel"\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['name', 'description'],
+    ['Sofa, 3 seater', 'The "Classic"\nmodel']
+  ]);
+});
+
+test('parseCsv keeps blank lines so record numbers match rows', () => {
+  assert.deepStrictEqual(parseCsv('a\n\nb\n'), [['a'], [''], ['b']]);
+});
+
+test('parseCsv keeps empty fields', () => {
+  assert.deepStrictEqual(parseCsv(',x,\n'), [['', 'x', '']]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a\n"open,b\n'), /Unterminated quoted field in record 2/);
+});
+
+test('toCsvLine quotes only fields that need it', () => {
+  assert.strictEqual(toCsvLine(['Sofa', 'a,b', 'say "hi"', 'two\nlines', ' padded']),
+    'Sofa,"a,b","say ""hi""","two\nlines"," padded"\r\n');
+});
+
+test('toCsvLine writes null and undefined as empty fields and dates as ISO strings', () => {
+  const date = new Date('2026-01-02T03:04:05.000Z');
+  assert.strictEqual(toCsvLine([null, undefined, 0, false, date]), ',,0,false,2026-01-02T03:04:05.000Z\r\n');
+});
+
+test('toCsvLine output parses back to the same values', () => {
+  const values = ['Rug, "Persian"', '', 'line\r\nbreak', '42'];
+  assert.deepStrictEqual(parseCsv(toCsvLine(values)), [values]);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createMemoryStore } = require('../utils/rateLimiter');
+
+const createLimiter = (options = {}) => createRateLimiter({
+  store: createMemoryStore(),
+  windowMs: 60 * 1000,
+  freeAttempts: 3,
+  maxAttempts: 5,
+  ...options
+});
+
+test('createRateLimiter requires a store', () => {
+  assert.throws(() => createRateLimiter({ windowMs: 1000 }), /store is required/);
+});
+
+test('hits are allowed up to maxAttempts, then the key is locked out', async () => {
+  const limiter = createLimiter();
+
+  for (let i = 1; i <= 4; i++) {
+    assert.deepStrictEqual(await limiter.hit('key'), { hits: i, lockedOut: false, allowed: true });
+  }
+  assert.deepStrictEqual(await limiter.hit('key'), { hits: 5, lockedOut: true, allowed: true });
+
+  const checked = await limiter.check('key');
+  assert.strictEqual(checked.allowed, false);
+  assert.strictEqual(checked.locked, true);
+  assert.strictEqual(checked.retryAfter, 60);
+});
+
+test('keys are counted separately', async () => {
+  const limiter = createLimiter({ maxAttempts: 1 });
+
+  await limiter.hit('a');
+  assert.strictEqual((await limiter.check('a')).allowed, false);
+  assert.strictEqual((await limiter.check('b')).allowed, true);
+});
+
+test('hits past the free attempts must wait an exponentially growing delay', async () => {
+  const limiter = createLimiter({ baseDelayMs: 2000 });
+
+  for (let i = 0; i < 3; i++) {
+    await limiter.hit('key');
+  }
+  assert.strictEqual((await limiter.check('key')).allowed, true);
+
+  await limiter.hit('key');
+  assert.deepStrictEqual(await limiter.check('key'), { allowed: false, locked: false, retryAfter: 2 });
+});
+
+test('the backoff delay doubles per hit up to maxDelayMs', async () => {
+  const delays = [];
+  // Records the delays without storing them, so every hit gets through
+  const store = createMemoryStore();
+  store.update = async (key, fields) => { delays.push(fields.nextAllowedAt - Date.now()); };
+  const limiter = createLimiter({ store, freeAttempts: 1, maxAttempts: 10, baseDelayMs: 2000, maxDelayMs: 5000 });
+
+  for (let i = 0; i < 4; i++) {
+    await limiter.hit('key');
+  }
+  assert.deepStrictEqual(delays.map(delay => Math.round(delay / 1000)), [2, 4, 5]);
+});
+
+test('concurrent hits past maxAttempts are not allowed', async () => {
+  const limiter = createLimiter();
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => limiter.hit('key')));
+  const allowed = results.filter(result => result.allowed);
+  const refused = results.filter(result => !result.allowed);
+
+  assert.strictEqual(allowed.length, 5);
+  assert.strictEqual(results.filter(result => result.lockedOut).length, 1);
+  refused.forEach(result => {
+    assert.strictEqual(result.locked, true);
+    assert.ok(result.retryAfter > 0);
+  });
+});
+
+test('a hit arriving during the backoff delay is not allowed', async () => {
+  const limiter = createLimiter({ freeAttempts: 1, maxAttempts: 10, baseDelayMs: 10 * 1000 });
+
+  await limiter.hit('key');
+  assert.strictEqual((await limiter.hit('key')).allowed, true);
+  const result = await limiter.hit('key');
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.locked, false);
+  assert.strictEqual(result.retryAfter, 10);
+});
+
+test('reset clears the count and any lockout', async () => {
+  const limiter = createLimiter({ maxAttempts: 2 });
+
+  await limiter.hit('key');
+  await limiter.hit('key');
+  assert.strictEqual((await limiter.check('key')).allowed, false);
+
+  await limiter.reset('key');
+  assert.strictEqual((await limiter.check('key')).allowed, true);
+  assert.strictEqual((await limiter.hit('key')).hits, 1);
+});
+
+test('a new window starts once the old one runs out', async () => {
+  const limiter = createLimiter({ windowMs: 20 });
+
+  await limiter.hit('key');
+  await limiter.hit('key');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual((await limiter.hit('key')).hits, 1);
+});
+
+// Minimal stand-in for an Express response
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  set(name, value) { this.headers[name] = value; return this; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+test('middleware passes requests until the limit, then answers 429 with Retry-After', async () => {
+  const limiter = createLimiter({ freeAttempts: 2, maxAttempts: 2 });
+  const handler = limiter.middleware(req => `ip:${req.ip}`, 'Slow down');
+  const req = { ip: '10.0.0.1' };
+  let passed = 0;
+
+  for (let i = 0; i < 3; i++) {
+    await handler(req, createResponse(), () => { passed++; });
+  }
+  assert.strictEqual(passed, 2);
+
+  const res = createResponse();
+  await handler(req, res, () => { passed++; });
+  assert.strictEqual(passed, 2);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '60');
+  assert.deepStrictEqual(res.body, { success: false, message: 'Slow down', retryAfter: 60 });
+});
+
+test('middleware lets requests through when the store fails', async () => {
+  const failing = {
+    get: async () => { throw new Error('store down'); },
+    increment: async () => { throw new Error('store down'); }
+  };
+  const limiter = createRateLimiter({ store: failing, windowMs: 1000, freeAttempts: 1, maxAttempts: 1 });
+  const handler = limiter.middleware(() => 'key');
+  const originalError = console.error;
+  let passed = false;
+
+  console.error = () => {};
+  try {
+    await handler({}, createResponse(), () => { passed = true; });
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(passed, true);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, expandWithSynonyms, editDistance, correctTerm } = require('../utils/search');
+
+test('tokenize lowercases and drops punctuation', () => {
+  assert.deepStrictEqual(tokenize('  Velvet SOFA, 3-seater! '), ['velvet', 'sofa', '3', 'seater']);
+});
+
+test('tokenize returns no terms for empty input', () => {
+  assert.deepStrictEqual(tokenize(''), []);
+  assert.deepStrictEqual(tokenize(null), []);
+  assert.deepStrictEqual(tokenize(undefined), []);
+});
+
+test('expandWithSynonyms adds every other term of the group', () => {
+  assert.deepStrictEqual(expandWithSynonyms(['couch']), ['couch', 'sofa', 'settee']);
+});
+
+test('expandWithSynonyms matches plural forms', () => {
+  assert.deepStrictEqual(expandWithSynonyms(['couches']), ['couches', 'sofa', 'settee']);
+  assert.deepStrictEqual(expandWithSynonyms(['rugs']), ['rugs', 'carpet']);
+});
+
+test('expandWithSynonyms leaves unknown terms alone and drops duplicates', () => {
+  assert.deepStrictEqual(expandWithSynonyms(['teak', 'rug', 'carpet']), ['teak', 'rug', 'carpet']);
+});
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+  assert.strictEqual(editDistance('sofa', 'sofa'), 0);
+  assert.strictEqual(editDistance('sofa', 'soda'), 1);
+  assert.strictEqual(editDistance('curtain', 'curtian'), 2);
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+});
+
+test('editDistance stops early once past the maximum', () => {
+  assert.strictEqual(editDistance('sofa', 'wardrobe', 2), 3);
+  assert.strictEqual(editDistance('a', 'abcdef', 1), 2);
+});
+
+test('correctTerm picks the closest vocabulary word', () => {
+  const vocabulary = new Set(['curtain', 'cushion', 'wardrobe']);
+  assert.strictEqual(correctTerm('curtian', vocabulary), 'curtain');
+  assert.strictEqual(correctTerm('wardrob', vocabulary), 'wardrobe');
+});
+
+test('correctTerm keeps known words, synonyms and short words', () => {
+  const vocabulary = new Set(['curtain', 'sofas']);
+  assert.strictEqual(correctTerm('curtain', vocabulary), 'curtain');
+  assert.strictEqual(correctTerm('couch', vocabulary), 'couch');
+  assert.strictEqual(correctTerm('sof', vocabulary), 'sof');
+});
+
+test('correctTerm returns the term when nothing is close enough', () => {
+  const vocabulary = new Set(['wardrobe']);
+  assert.strictEqual(correctTerm('lamps', vocabulary), 'lamps');
+  // Five letters or fewer allow only one edit
+  assert.strictEqual(correctTerm('lampz', new Set(['lamp'])), 'lamp');
+  assert.strictEqual(correctTerm('lmpzz', new Set(['lamps'])), 'lmpzz');
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStockKeeper } = require('../utils/stock');
+
+// In-memory products collection supporting the conditional updates the stock keeper sends
+function createProductsCollection(products) {
+  const calls = [];
+
+  return {
+    products,
+    calls,
+
+    async findOneAndUpdate(filter, update, options) {
+      calls.push({ filter, update, options });
+
+      const product = products.find(candidate => candidate._id === filter._id);
+      if (!product) {
+        return null;
+      }
+
+      let variant = null;
+      if (filter.variants) {
+        const { _id, stock } = filter.variants.$elemMatch;
+        variant = (product.variants || []).find(candidate => candidate._id === _id && candidate.stock >= stock.$gte);
+      } else if (filter['variants._id']) {
+        variant = (product.variants || []).find(candidate => candidate._id === filter['variants._id']);
+      }
+
+      if ((filter.variants || filter['variants._id']) && !variant) {
+        return null;
+      }
+      if (filter.stock && product.stock < filter.stock.$gte) {
+        return null;
+      }
+
+      for (const [field, amount] of Object.entries(update.$inc)) {
+        if (field === 'variants.$.stock') {
+          variant.stock += amount;
+        } else {
+          product[field] += amount;
+        }
+      }
+      return JSON.parse(JSON.stringify(product));
+    }
+  };
+}
+
+const setup = () => {
+  const collection = createProductsCollection([
+    { _id: 'sofa', name: 'Sofa', stock: 2 },
+    { _id: 'rug', name: 'Rug', stock: 5, variants: [{ _id: 'red', stock: 3 }, { _id: 'blue', stock: 2 }] }
+  ]);
+  return { collection, keeper: createStockKeeper(() => collection, { projection: { stock: 1 } }) };
+};
+
+test('takeStock takes every line and returns the updated products', async () => {
+  const { collection, keeper } = setup();
+  const lines = [
+    { productId: 'sofa', variantId: null, quantity: 2, name: 'Sofa' },
+    { productId: 'rug', variantId: 'red', quantity: 1, name: 'Rug (RED)' }
+  ];
+
+  const result = await keeper.takeStock(lines);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.taken.map(({ line, product }) => [line, product.stock]), [[lines[0], 0], [lines[1], 4]]);
+  assert.strictEqual(collection.products[0].stock, 0);
+  assert.strictEqual(collection.products[1].stock, 4);
+  assert.strictEqual(collection.products[1].variants[0].stock, 2);
+});
+
+test('takeStock only succeeds while enough stock is left', async () => {
+  const { collection, keeper } = setup();
+
+  assert.strictEqual((await keeper.takeStock([{ productId: 'sofa', variantId: null, quantity: 2, name: 'Sofa' }])).success, true);
+  const result = await keeper.takeStock([{ productId: 'sofa', variantId: null, quantity: 1, name: 'Sofa' }]);
+
+  assert.deepStrictEqual(result, { success: false, status: 400, message: 'Insufficient stock for Sofa', error: 'Insufficient stock' });
+  assert.strictEqual(collection.products[0].stock, 0);
+});
+
+test('takeStock checks the variant stock, not the product total', async () => {
+  const { collection, keeper } = setup();
+
+  const result = await keeper.takeStock([{ productId: 'rug', variantId: 'blue', quantity: 3, name: 'Rug (BLUE)' }]);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.message, 'Insufficient stock for Rug (BLUE)');
+  assert.strictEqual(collection.products[1].stock, 5);
+  assert.strictEqual(collection.products[1].variants[1].stock, 2);
+});
+
+test('takeStock puts back the lines already taken when a later line fails', async () => {
+  const { collection, keeper } = setup();
+
+  const result = await keeper.takeStock([
+    { productId: 'sofa', variantId: null, quantity: 1, name: 'Sofa' },
+    { productId: 'rug', variantId: 'red', quantity: 2, name: 'Rug (RED)' },
+    { productId: 'missing', variantId: null, quantity: 1, name: 'Lamp' }
+  ]);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.message, 'Insufficient stock for Lamp');
+  assert.strictEqual(collection.products[0].stock, 2);
+  assert.strictEqual(collection.products[1].stock, 5);
+  assert.strictEqual(collection.products[1].variants[0].stock, 3);
+});
+
+test('concurrent orders cannot both take the last unit', async () => {
+  const { collection, keeper } = setup();
+  const line = { productId: 'sofa', variantId: null, quantity: 2, name: 'Sofa' };
+
+  const results = await Promise.all([keeper.takeStock([line]), keeper.takeStock([line])]);
+
+  assert.deepStrictEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.strictEqual(collection.products[0].stock, 0);
+});
+
+test('returnStock restores the product and variant stock', async () => {
+  const { collection, keeper } = setup();
+  const lines = [
+    { productId: 'sofa', variantId: null, quantity: 1 },
+    { productId: 'rug', variantId: 'blue', quantity: 2 }
+  ];
+
+  const returned = await keeper.returnStock(lines);
+
+  assert.deepStrictEqual(returned.map(({ line, product }) => [line, product.stock]), [[lines[0], 3], [lines[1], 7]]);
+  assert.strictEqual(collection.products[1].variants[1].stock, 4);
+});
+
+test('returnStock skips products and variants that no longer exist', async () => {
+  const { keeper } = setup();
+
+  const returned = await keeper.returnStock([
+    { productId: 'missing', variantId: null, quantity: 1 },
+    { productId: 'rug', variantId: 'green', quantity: 1 },
+    { productId: 'sofa', variantId: null, quantity: 1 }
+  ]);
+
+  assert.deepStrictEqual(returned.map(({ line }) => line.productId), ['sofa']);
+});
+
+test('updates return the document after the change, with the given projection', async () => {
+  const { collection, keeper } = setup();
+
+  await keeper.takeStock([{ productId: 'sofa', variantId: null, quantity: 1, name: 'Sofa' }]);
+
+  assert.deepStrictEqual(collection.calls[0].options, { returnDocument: 'after', projection: { stock: 1 } });
+});
@@ -0,0 +1,65 @@
+// CSV reading and writing for bulk product import/export
+// Follows RFC 4180: fields containing commas, quotes or line breaks are quoted, quotes are doubled,
+// and lines may end in CRLF or LF. A leading byte order mark (Excel adds one) is ignored.
+
+// Parse CSV text into an array of records, each an array of field strings.
+// Blank lines come back as [''] so record numbers match spreadsheet rows.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in record ${records.length + 1}`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+// Quote a value if it needs it. null and undefined become empty fields.
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, CRLF-terminated
+const toCsvLine = (values) => values.map(formatCsvField).join(',') + '\r\n';
+
+module.exports = { parseCsv, toCsvLine };
@@ -0,0 +1,36 @@
+// Image storage adapters
+// Every adapter has the same interface, so object storage (S3, GCS...) can replace local disk later:
+//   save(key, buffer, contentType) -> public URL of the stored file
+//   remove(key)                    -> deletes the file; removing a missing file is not an error
+// Keys look like "products/<productId>/<imageId>.webp" and are always generated by the server.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk - files live under `directory` and are served by express.static at `baseUrl`
+function createLocalStorage({ directory, baseUrl }) {
+  const root = path.resolve(directory);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
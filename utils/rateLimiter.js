@@ -0,0 +1,221 @@
+// Rate limiter with exponential backoff and temporary lockout
+// Counters live in a pluggable store: in-memory for a single instance, MongoDB for several
+
+// In-memory store - counters are lost on restart and not shared between instances
+function createMemoryStore() {
+  const entries = new Map();
+
+  // Drop expired entries now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return { ...entry };
+    },
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+
+      if (!entry || entry.windowEndsAt <= now) {
+        entry = { hits: 0, windowEndsAt: now + windowMs, expiresAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.hits += 1;
+
+      return { ...entry };
+    },
+
+    async update(key, fields) {
+      const entry = entries.get(key);
+      if (entry) {
+        Object.assign(entry, fields);
+      }
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// MongoDB store - shared between instances. Takes a function returning the collection,
+// since the collection only exists once the database is connected.
+// Times are stored as Dates so a TTL index on expiresAt can clean up.
+function createMongoStore(getCollection) {
+  const toEntry = (doc) => doc && {
+    hits: doc.hits,
+    windowEndsAt: doc.windowEndsAt.getTime(),
+    nextAllowedAt: doc.nextAllowedAt ? doc.nextAllowedAt.getTime() : 0,
+    lockedUntil: doc.lockedUntil ? doc.lockedUntil.getTime() : 0,
+    expiresAt: doc.expiresAt.getTime()
+  };
+
+  return {
+    async get(key) {
+      const doc = await getCollection().findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      return toEntry(doc);
+    },
+
+    async increment(key, windowMs) {
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + windowMs);
+      const windowOpen = { $gt: ['$windowEndsAt', now] };
+
+      // Single atomic update: count the hit, or start a new window if the old one ran out
+      const doc = await getCollection().findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+            nextAllowedAt: { $cond: [windowOpen, '$nextAllowedAt', null] },
+            lockedUntil: { $cond: [windowOpen, '$lockedUntil', null] },
+            expiresAt: { $cond: [windowOpen, '$expiresAt', windowEnd] },
+            windowEndsAt: { $cond: [windowOpen, '$windowEndsAt', windowEnd] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      return toEntry(doc);
+    },
+
+    async update(key, fields) {
+      const $set = {};
+      for (const [field, value] of Object.entries(fields)) {
+        $set[field] = value ? new Date(value) : null;
+      }
+      await getCollection().updateOne({ _id: key }, { $set });
+    },
+
+    async reset(key) {
+      await getCollection().deleteOne({ _id: key });
+    }
+  };
+}
+
+// Create a limiter. Every hit inside the window counts; past `freeAttempts` each further
+// hit must wait an exponentially growing delay, and at `maxAttempts` the key is locked out.
+function createRateLimiter(options) {
+  const {
+    store,
+    windowMs,
+    freeAttempts,
+    maxAttempts,
+    baseDelayMs = 0,
+    maxDelayMs = 0,
+    lockoutMs = windowMs
+  } = options;
+
+  if (!store) {
+    throw new Error('Rate limiter store is required');
+  }
+
+  // Returns { allowed: true } or { allowed: false, retryAfter } with retryAfter in seconds
+  async function check(key) {
+    const entry = await store.get(key);
+    if (!entry) {
+      return { allowed: true };
+    }
+
+    const blockedUntil = Math.max(entry.lockedUntil || 0, entry.nextAllowedAt || 0);
+    const now = Date.now();
+
+    if (blockedUntil > now) {
+      return {
+        allowed: false,
+        locked: (entry.lockedUntil || 0) > now,
+        retryAfter: Math.ceil((blockedUntil - now) / 1000)
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  // Count a hit. Returns { hits, lockedOut, allowed } - lockedOut is only true for the hit that caused the lockout.
+  // The count is atomic, so call this before doing the guarded work: concurrent hits that arrive while the key
+  // is blocked, or past maxAttempts, come back with allowed: false and retryAfter in seconds.
+  async function hit(key) {
+    const entry = await store.increment(key, windowMs);
+    const now = Date.now();
+    const blockedUntil = Math.max(entry.lockedUntil || 0, entry.nextAllowedAt || 0);
+
+    if (blockedUntil > now || entry.hits > maxAttempts) {
+      const until = blockedUntil > now ? blockedUntil : entry.windowEndsAt;
+      return {
+        hits: entry.hits,
+        lockedOut: false,
+        allowed: false,
+        locked: entry.hits > maxAttempts || (entry.lockedUntil || 0) > now,
+        retryAfter: Math.max(1, Math.ceil((until - now) / 1000))
+      };
+    }
+
+    if (entry.hits >= maxAttempts) {
+      const lockedUntil = now + lockoutMs;
+      // A fresh window starts once the lockout is over
+      await store.update(key, { lockedUntil, windowEndsAt: lockedUntil, expiresAt: lockedUntil });
+      return { hits: entry.hits, lockedOut: entry.hits === maxAttempts, allowed: true };
+    }
+
+    if (entry.hits > freeAttempts && baseDelayMs > 0) {
+      const delay = Math.min(baseDelayMs * 2 ** (entry.hits - freeAttempts - 1), maxDelayMs || Infinity);
+      const nextAllowedAt = now + delay;
+      await store.update(key, {
+        nextAllowedAt,
+        expiresAt: Math.max(entry.expiresAt, nextAllowedAt)
+      });
+    }
+
+    return { hits: entry.hits, lockedOut: false, allowed: true };
+  }
+
+  async function reset(key) {
+    await store.reset(key);
+  }
+
+  // Express middleware counting every request under the key returned by keyFn(req)
+  function middleware(keyFn, message = 'Too many requests. Please try again later.') {
+    return async (req, res, next) => {
+      try {
+        const key = keyFn(req);
+        // check() turns away blocked requests without counting them; hit() catches concurrent ones
+        let result = await check(key);
+        if (result.allowed) {
+          result = await hit(key);
+        }
+
+        if (!result.allowed) {
+          res.set('Retry-After', String(result.retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: message,
+            retryAfter: result.retryAfter
+          });
+        }
+
+        next();
+      } catch (error) {
+        // Never take an endpoint down because the limiter's store is unavailable
+        console.error('Rate limiter error:', error.message);
+        next();
+      }
+    };
+  }
+
+  return { check, hit, reset, middleware };
+}
+
+module.exports = { createRateLimiter, createMemoryStore, createMongoStore };
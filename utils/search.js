@@ -0,0 +1,93 @@
+// Search helpers: query tokenizing, furnishing synonyms and misspelling correction
+
+// Terms that mean the same thing to our customers. Each group is matched both ways.
+const SYNONYM_GROUPS = [
+  ['sofa', 'couch', 'settee'],
+  ['curtain', 'drape', 'drapes'],
+  ['cushion', 'pillow'],
+  ['rug', 'carpet'],
+  ['wardrobe', 'closet', 'almirah'],
+  ['bedsheet', 'bedspread', 'linen'],
+  ['armchair', 'recliner'],
+  ['ottoman', 'pouf', 'footstool'],
+  ['blind', 'shade']
+];
+
+// term -> every other term in its group
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const term of group) {
+    SYNONYMS.set(term, group.filter(other => other !== term));
+  }
+}
+
+// Lowercase words of a query, without punctuation
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Synonyms for a term, also trying its singular form ("couches" -> "couch")
+function synonymsFor(term) {
+  for (const candidate of [term, term.replace(/es$/, ''), term.replace(/s$/, '')]) {
+    if (SYNONYMS.has(candidate)) {
+      return SYNONYMS.get(candidate);
+    }
+  }
+  return [];
+}
+
+// The query terms plus their synonyms, without duplicates
+function expandWithSynonyms(terms) {
+  const expanded = new Set(terms);
+  terms.forEach(term => synonymsFor(term).forEach(synonym => expanded.add(synonym)));
+  return [...expanded];
+}
+
+// Levenshtein distance, giving up early once it exceeds `max`
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Closest known word to a (possibly misspelt) term, or the term itself if nothing is close.
+// Short words are left alone - too many real words are one letter apart.
+function correctTerm(term, vocabulary) {
+  if (term.length < 4 || vocabulary.has(term) || SYNONYMS.has(term)) {
+    return term;
+  }
+
+  const maxDistance = term.length <= 5 ? 1 : 2;
+  let best = term;
+  let bestDistance = maxDistance + 1;
+
+  for (const word of vocabulary) {
+    const distance = editDistance(term, word, maxDistance);
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+module.exports = { SYNONYM_GROUPS, tokenize, expandWithSynonyms, editDistance, correctTerm };
@@ -2,10 +2,11 @@
 // Replaces replitmail.js for external deployment compatibility
 
 const sgMail = require('@sendgrid/mail');
+const config = require('../config');
 
 // Set SendGrid API key
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+if (config.sendgridApiKey) {
+  sgMail.setApiKey(config.sendgridApiKey);
 } else {
   console.warn('SENDGRID_API_KEY not found. Email functionality may not work.');
 }
@@ -24,7 +25,7 @@ async function sendEmail(message) {
     // Configure email message for SendGrid
     const msg = {
       to: message.to,
-      from: 'Info@smfurnishings.com', // Your verified sender
+      from: config.mailFrom, // Your verified sender
       subject: message.subject,
       text: message.text,
       html: message.html
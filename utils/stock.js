@@ -0,0 +1,71 @@
+// Taking and returning product stock for order lines
+// Each line is a conditional update that only succeeds while enough stock is left, so two orders
+// can't both take the last unit; if a later line fails, the lines already taken are put back.
+// (Transactions would need a replica set, which not every deployment has.)
+//
+// A line is { productId, variantId, quantity, name } - variantId is null for products without
+// variants, and name is only used in the insufficient stock message.
+
+// Takes a function returning the products collection, since the collection only exists once the
+// database is connected. projection picks the product fields returned with each line.
+function createStockKeeper(getCollection, { projection } = {}) {
+  const options = { returnDocument: 'after', ...(projection && { projection }) };
+
+  // Put stock back for lines taken earlier. A variant line also restores the product's total.
+  // Returns { line, product } for each line whose product still exists, product as updated.
+  async function returnStock(lines) {
+    const returned = [];
+
+    for (const line of lines) {
+      const product = line.variantId
+        ? await getCollection().findOneAndUpdate(
+            { _id: line.productId, 'variants._id': line.variantId },
+            { $inc: { 'variants.$.stock': line.quantity, stock: line.quantity } },
+            options
+          )
+        : await getCollection().findOneAndUpdate(
+            { _id: line.productId },
+            { $inc: { stock: line.quantity } },
+            options
+          );
+
+      if (product) {
+        returned.push({ line, product });
+      }
+    }
+
+    return returned;
+  }
+
+  // Take stock for every line or for none of them.
+  // Returns { success: true, taken: [{ line, product }] } (product as updated) or { success: false, status, message, error }
+  async function takeStock(lines) {
+    const taken = [];
+
+    for (const line of lines) {
+      const product = line.variantId
+        ? await getCollection().findOneAndUpdate(
+            { _id: line.productId, variants: { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } } },
+            { $inc: { 'variants.$.stock': -line.quantity, stock: -line.quantity } },
+            options
+          )
+        : await getCollection().findOneAndUpdate(
+            { _id: line.productId, stock: { $gte: line.quantity } },
+            { $inc: { stock: -line.quantity } },
+            options
+          );
+
+      if (!product) {
+        await returnStock(taken.map(({ line }) => line));
+        return { success: false, status: 400, message: `Insufficient stock for ${line.name}`, error: 'Insufficient stock' };
+      }
+      taken.push({ line, product });
+    }
+
+    return { success: true, taken };
+  }
+
+  return { takeStock, returnStock };
+}
+
+module.exports = { createStockKeeper };